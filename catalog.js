@@ -0,0 +1,207 @@
+/**
+ * StreamVault Catalog Schema
+ *
+ * One typed shape for catalog entries, whatever source they came from:
+ * - validate() lists what makes an entry unusable (no id or title, wrong types)
+ * - normalize() returns typed fields: year and rating as numbers or null,
+ *   duration in minutes (or null), genres/actors/themes as arrays
+ * - normalizeAll() keeps the valid entries and reports the rejected ones
+ * - formatYear/formatRating/formatDuration turn typed fields back into text
+ *
+ * Parsers accept raw values ("1h 36m", "Various", "8.2") as well as
+ * already-normalized ones, so normalizing twice changes nothing and
+ * snapshots stored by older versions still read correctly.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class CatalogSchema {
+    constructor(options = {}) {
+        this.minYear = options.minYear || 1870; // Earliest plausible release year
+        this.maxYear = options.maxYear || new Date().getFullYear() + 5;
+        this.maxRating = 10;
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Problems that make an entry unusable (empty when it's fine).
+     * Unparseable optional fields aren't errors; they normalize to null.
+     */
+    validate(item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return ['Entry must be an object'];
+
+        const errors = [];
+        const isId = typeof item.id === 'string' ? item.id.trim() !== '' : Number.isFinite(item.id);
+        if (!isId) errors.push('id must be a non-empty string or a number');
+        if (typeof item.title !== 'string' || !item.title.trim()) errors.push('title must be a non-empty string');
+
+        ['url', 'poster', 'description', 'source', 'category', 'director'].forEach(field => {
+            const value = item[field];
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                errors.push(`${field} must be a string`);
+            }
+        });
+        ['genres', 'actors', 'themes'].forEach(field => {
+            const value = item[field];
+            if (value !== undefined && value !== null && !Array.isArray(value) && typeof value !== 'string') {
+                errors.push(`${field} must be a list`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Typed copy of an entry (extra fields are kept as they are)
+     */
+    normalize(item) {
+        const listed = this.parseList(item.genres);
+        const genres = (listed.length > 0 ? listed : this.parseList(item.genre)).map(genre => genre.toLowerCase());
+
+        return {
+            ...item,
+            title: String(item.title || '').trim(),
+            year: this.parseYear(item.year),
+            rating: this.parseRating(item.rating),
+            duration: this.parseDuration(item.duration),
+            genre: genres[0] || null,
+            genres: [...new Set(genres)],
+            director: this.parseText(item.director),
+            actors: this.parseList(item.actors),
+            themes: this.parseList(item.themes),
+            source: this.parseText(item.source),
+            category: this.parseText(item.category),
+            description: this.parseText(item.description) || '',
+            poster: this.parseText(item.poster) || '',
+            url: this.parseText(item.url)
+        };
+    }
+
+    /**
+     * Normalize a list of entries, setting aside the invalid ones
+     * ({ movies, invalid: [{ item, errors }] })
+     */
+    normalizeAll(items) {
+        const movies = [];
+        const invalid = [];
+
+        (items || []).forEach(item => {
+            const errors = this.validate(item);
+            if (errors.length > 0) {
+                invalid.push({ item, errors });
+            } else {
+                movies.push(this.normalize(item));
+            }
+        });
+
+        if (invalid.length > 0) {
+            console.warn(`[Catalog] Skipped ${invalid.length} invalid entries:`, invalid);
+        }
+        return { movies, invalid };
+    }
+
+    // ========================================
+    // FIELD PARSERS
+    // ========================================
+
+    /**
+     * Release year as a number, or null ("Various", "Unknown", out of range)
+     */
+    parseYear(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const year = typeof value === 'number'
+            ? Math.floor(value)
+            : parseInt((String(value).match(/\b\d{4}\b/) || [])[0]);
+        return year >= this.minYear && year <= this.maxYear ? year : null;
+    }
+
+    /**
+     * Rating on the 0-10 scale, or null ("N/A", out of range)
+     */
+    parseRating(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const rating = typeof value === 'number' ? value : parseFloat(value);
+        return isFinite(rating) && rating >= 0 && rating <= this.maxRating ? rating : null;
+    }
+
+    /**
+     * Runtime in whole minutes from a number of minutes, "1h 36m", "76 min",
+     * "1:16:27" (h:mm:ss) or "01:05" (mm:ss); null for "varies" and the like
+     */
+    parseDuration(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return isFinite(value) && value > 0 ? Math.round(value) : null;
+
+        const text = String(value).trim().toLowerCase();
+        let minutes = null;
+
+        if (/^\d+(:\d+){1,2}$/.test(text)) {
+            const parts = text.split(':').map(Number);
+            minutes = parts.length === 3 ? parts[0] * 60 + parts[1] : parts[0];
+        } else if (/^\d+$/.test(text)) {
+            minutes = parseInt(text);
+        } else {
+            const hours = text.match(/(\d+)\s*h/);
+            const mins = text.match(/(\d+)\s*m/);
+            if (hours || mins) minutes = (hours ? parseInt(hours[1]) * 60 : 0) + (mins ? parseInt(mins[1]) : 0);
+        }
+
+        return minutes > 0 ? minutes : null;
+    }
+
+    /**
+     * Trimmed, de-duplicated strings from an array or a comma/semicolon list
+     */
+    parseList(value) {
+        if (value === undefined || value === null) return [];
+
+        const items = Array.isArray(value) ? value : String(value).split(/[;,]/);
+        const seen = new Set();
+        return items
+            .filter(item => typeof item === 'string' || typeof item === 'number')
+            .map(item => String(item).trim())
+            .filter(item => item && !seen.has(item) && seen.add(item));
+    }
+
+    parseText(value) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        return text || null;
+    }
+
+    // ========================================
+    // DISPLAY
+    // ========================================
+
+    formatYear(year) {
+        const parsed = this.parseYear(year);
+        return parsed !== null ? String(parsed) : 'Unknown';
+    }
+
+    formatRating(rating) {
+        const parsed = this.parseRating(rating);
+        return parsed !== null ? parsed.toFixed(1) : 'N/A';
+    }
+
+    /**
+     * "1h 36m", "45m", or "Varies" when the runtime is unknown
+     */
+    formatDuration(duration) {
+        const minutes = this.parseDuration(duration);
+        if (minutes === null) return 'Varies';
+
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogSchema;
+}
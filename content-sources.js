@@ -0,0 +1,223 @@
+/**
+ * StreamVault Content Source Registry
+ *
+ * Each content source registers as a provider that declares:
+ * - fetch: async function returning raw items
+ * - normalize: maps a raw item to the catalog movie shape
+ * - policy: retry count/backoff, minimum interval between requests, timeout
+ *
+ * With a schema (CatalogSchema), normalized items are then validated and
+ * typed; invalid ones are dropped and counted in the source's result.
+ *
+ * loadAll() runs every enabled provider, merges the results into one
+ * catalog (deduplicated by id and url, earlier-registered sources first)
+ * as each arrives and reports per-source status, so one slow or failing
+ * source never holds up or takes down the others.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class ContentSourceRegistry {
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+        this.schema = options.schema || null; // Validates and types every item when set
+        this.defaultPolicy = {
+            retries: 2,
+            retryDelay: 1000, // Doubles after each failed attempt
+            minInterval: 0, // Minimum ms between requests to the same source
+            timeout: 15000,
+            ...options.defaultPolicy
+        };
+    }
+
+    // ========================================
+    // REGISTRATION
+    // ========================================
+
+    /**
+     * Register a content provider
+     */
+    register(provider) {
+        if (!provider || !provider.name || typeof provider.fetch !== 'function') {
+            throw new Error('Content provider needs a name and a fetch function');
+        }
+
+        this.providers.set(provider.name, {
+            label: provider.name,
+            normalize: item => item,
+            enabled: () => true,
+            ...provider,
+            policy: { ...this.defaultPolicy, ...provider.policy }
+        });
+
+        return this;
+    }
+
+    /**
+     * Remove a provider by name
+     */
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Get registered provider names in registration order
+     */
+    getProviderNames() {
+        return Array.from(this.providers.keys());
+    }
+
+    // ========================================
+    // LOADING
+    // ========================================
+
+    /**
+     * Load every enabled provider and merge the results.
+     * onProgress(result, movies) fires as each source settles, with the
+     * merged catalog so far; earlier-registered sources win duplicates
+     * whatever order they arrive in.
+     */
+    async loadAll(options = {}) {
+        const { onProgress = null } = options;
+        const providers = Array.from(this.providers.values());
+        const settled = providers.map(() => null); // Results by registration order
+        let merged = [];
+
+        await Promise.all(providers.map(async (provider, index) => {
+            const result = await this.loadProvider(provider);
+            settled[index] = result;
+            merged = this.mergeResults(settled);
+
+            if (onProgress) onProgress(result, merged.slice());
+        }));
+
+        return {
+            movies: merged,
+            results: settled.map(({ movies, ...summary }) => summary)
+        };
+    }
+
+    /**
+     * One catalog from the settled results (in priority order), deduplicated
+     * by id and url
+     */
+    mergeResults(results) {
+        const merged = [];
+        const seenIds = new Set();
+        const urlOwners = new Map(); // url -> provider that first supplied it
+
+        // A url only counts as a duplicate when another source already has it;
+        // a single source may point several titles at the same landing page
+        results
+            .filter(result => result && result.status === 'ok')
+            .forEach(result => result.movies.forEach(movie => {
+                const key = String(movie.id);
+                const url = movie.url ? movie.url.toLowerCase() : null;
+                const urlOwner = url ? urlOwners.get(url) : undefined;
+                if (seenIds.has(key) || (urlOwner && urlOwner !== result.name)) return;
+                seenIds.add(key);
+                if (url && !urlOwner) urlOwners.set(url, result.name);
+                merged.push(movie);
+            }));
+
+        return merged;
+    }
+
+    /**
+     * Load a single provider, applying its retry and rate policy
+     */
+    async loadProvider(provider) {
+        const started = Date.now();
+
+        if (!provider.enabled()) {
+            return { name: provider.name, label: provider.label, status: 'skipped', count: 0, movies: [] };
+        }
+
+        const context = {
+            fetch: this.createPoliteFetch(provider.policy)
+        };
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= provider.policy.retries; attempt++) {
+            if (attempt > 0) {
+                await this.delay(provider.policy.retryDelay * Math.pow(2, attempt - 1));
+            }
+
+            try {
+                const raw = await provider.fetch(context);
+                const items = (raw || [])
+                    .map(item => {
+                        try {
+                            return provider.normalize(item);
+                        } catch (error) {
+                            console.error(`[Sources] ${provider.name}: could not normalize item`, error);
+                            return null;
+                        }
+                    })
+                    .filter(Boolean);
+                const { movies, invalid } = this.schema
+                    ? this.schema.normalizeAll(items)
+                    : { movies: items, invalid: [] };
+
+                console.log(`[Sources] ${provider.name}: ${movies.length} titles in ${Date.now() - started}ms`);
+                return {
+                    name: provider.name,
+                    label: provider.label,
+                    status: 'ok',
+                    count: movies.length,
+                    invalid: invalid.length,
+                    movies
+                };
+            } catch (error) {
+                lastError = error;
+                console.error(`[Sources] ${provider.name}: attempt ${attempt + 1} failed`, error);
+            }
+        }
+
+        return {
+            name: provider.name,
+            label: provider.label,
+            status: 'error',
+            count: 0,
+            error: lastError ? lastError.message : 'Unknown error',
+            movies: []
+        };
+    }
+
+    /**
+     * Wrap fetch with a per-source request interval and timeout
+     */
+    createPoliteFetch(policy) {
+        let nextSlot = 0;
+
+        return async (url, init = {}) => {
+            const now = Date.now();
+            const wait = Math.max(0, nextSlot - now);
+            nextSlot = Math.max(now, nextSlot) + policy.minInterval;
+            if (wait > 0) await this.delay(wait);
+
+            if (!policy.timeout || typeof AbortController === 'undefined') {
+                return this.fetchImpl(url, init);
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), policy.timeout);
+            try {
+                return await this.fetchImpl(url, { ...init, signal: controller.signal });
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentSourceRegistry;
+}
@@ -0,0 +1,228 @@
+/**
+ * StreamVault Content Vectors
+ *
+ * TF-IDF vectors over what a title is about, computed locally:
+ * - Description words (sublinear term frequency, smoothed IDF)
+ * - Themes and credits (director, actors) as whole-phrase terms
+ * - Cosine similarity between titles, or between a title and a
+ *   weighted profile of titles
+ *
+ * Vectors are cached per catalog version and rebuilt only when the
+ * catalog changes.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class ContentVectorIndex {
+    constructor(options = {}) {
+        this.fieldWeights = options.fieldWeights || {
+            description: 1.0,
+            themes: 1.5,
+            credits: 1.2
+        };
+        this.clear();
+    }
+
+    // ========================================
+    // INDEXING
+    // ========================================
+
+    clear() {
+        this.version = null;
+        this.documentCount = 0;
+        this.idf = new Map(); // term -> inverse document frequency
+        this.vectors = new Map(); // movie id -> Map(term -> weight), unit length
+        this.profileCache = null; // { key, vector }
+    }
+
+    /**
+     * Build vectors for a catalog (replaces any previous contents)
+     */
+    build(movies, version = this.getCatalogVersion(movies)) {
+        this.clear();
+
+        const termCounts = movies.map(movie => this.getTermCounts(movie));
+        const documentFrequency = new Map();
+        termCounts.forEach(counts => {
+            counts.forEach((count, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        this.documentCount = movies.length;
+        documentFrequency.forEach((df, term) => {
+            this.idf.set(term, Math.log((this.documentCount + 1) / (df + 1)) + 1);
+        });
+
+        movies.forEach((movie, i) => {
+            this.vectors.set(String(movie.id), this.weigh(termCounts[i]));
+        });
+
+        this.version = version;
+        console.log(`[ContentVectors] Indexed ${movies.length} titles (${this.idf.size} terms)`);
+        return this;
+    }
+
+    /**
+     * Rebuild only when the catalog has changed since the last build
+     * (pass the version when the caller already computed it)
+     */
+    ensure(movies, version = this.getCatalogVersion(movies)) {
+        if (version !== this.version) this.build(movies, version);
+        return this;
+    }
+
+    /**
+     * Cheap signature of a catalog: ids, titles and description lengths
+     */
+    getCatalogVersion(movies) {
+        let hash = 5381;
+        movies.forEach(movie => {
+            const key = `${movie.id}|${movie.title}|${(movie.description || '').length};`;
+            for (let i = 0; i < key.length; i++) {
+                hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+            }
+        });
+        return `${movies.length}:${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Weighted term counts for a movie, before IDF
+     */
+    getTermCounts(movie) {
+        const counts = new Map();
+        const add = (term, weight) => counts.set(term, (counts.get(term) || 0) + weight);
+
+        this.tokenize(movie.description).forEach(token => add(token, this.fieldWeights.description));
+        (Array.isArray(movie.themes) ? movie.themes : []).forEach(theme => {
+            add(`theme:${this.normalizePhrase(theme)}`, this.fieldWeights.themes);
+        });
+
+        // Director and cast share one namespace, so an actor-director matches both ways
+        const credits = [movie.director, ...(Array.isArray(movie.actors) ? movie.actors : [])].filter(Boolean);
+        credits.forEach(name => add(`person:${this.normalizePhrase(name)}`, this.fieldWeights.credits));
+
+        return counts;
+    }
+
+    /**
+     * Sublinear TF x IDF, scaled to unit length (unknown terms are dropped)
+     */
+    weigh(counts) {
+        const vector = new Map();
+        let norm = 0;
+
+        counts.forEach((count, term) => {
+            const idf = this.idf.get(term);
+            if (!idf) return;
+            const weight = (1 + Math.log(count)) * idf;
+            vector.set(term, weight);
+            norm += weight * weight;
+        });
+
+        return this.normalize(vector, norm);
+    }
+
+    normalize(vector, squaredNorm) {
+        if (squaredNorm <= 0) return new Map();
+        const length = Math.sqrt(squaredNorm);
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+        return vector;
+    }
+
+    /**
+     * Lowercase, fold accents, split on non-alphanumerics, drop stopwords
+     * and single characters (same folding as SearchIndex)
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !ContentVectorIndex.STOPWORDS.has(token));
+    }
+
+    normalizePhrase(text) {
+        return this.tokenize(text).join(' ');
+    }
+
+    // ========================================
+    // SIMILARITY
+    // ========================================
+
+    /**
+     * Vector for a movie; titles outside the indexed catalog (e.g. old
+     * history items) are vectorized on the fly against the current IDF
+     */
+    getVector(movie) {
+        if (!movie) return new Map();
+        return this.vectors.get(String(movie.id)) || this.weigh(this.getTermCounts(movie));
+    }
+
+    /**
+     * Cosine similarity between two movies (0-1)
+     */
+    similarity(a, b) {
+        return this.cosine(this.getVector(a), this.getVector(b));
+    }
+
+    /**
+     * Dot product of unit vectors, iterating the smaller one
+     */
+    cosine(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+        let dot = 0;
+        small.forEach((weight, term) => {
+            const other = large.get(term);
+            if (other) dot += weight * other;
+        });
+        return dot;
+    }
+
+    /**
+     * Unit-length blend of weighted movie vectors ([{ movie, weight }]).
+     * Negative weights (disliked titles) pull the profile away from their terms.
+     * Cached per key so repeated scoring against one profile is cheap.
+     */
+    getProfileVector(signals, key = null) {
+        const cacheKey = key !== null ? `${this.version}:${key}` : null;
+        if (cacheKey && this.profileCache && this.profileCache.key === cacheKey) {
+            return this.profileCache.vector;
+        }
+
+        const profile = new Map();
+        signals.forEach(({ movie, weight }) => {
+            if (!weight) return;
+            this.getVector(movie).forEach((value, term) => {
+                profile.set(term, (profile.get(term) || 0) + value * weight);
+            });
+        });
+
+        let norm = 0;
+        profile.forEach(value => { norm += value * value; });
+        const vector = this.normalize(profile, norm);
+
+        if (cacheKey) this.profileCache = { key: cacheKey, vector };
+        return vector;
+    }
+}
+
+// Filler words that say nothing about what a title is about
+ContentVectorIndex.STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'are', 'as', 'at', 'be',
+    'been', 'but', 'by', 'can', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+    'in', 'into', 'is', 'it', 'its', 'more', 'of', 'on', 'one', 'or', 'she',
+    'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'who', 'when',
+    'which', 'while', 'with', 'film', 'movie'
+]);
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentVectorIndex;
+}
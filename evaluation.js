@@ -0,0 +1,374 @@
+/**
+ * StreamVault Recommendation Evaluation
+ *
+ * Offline evaluation of the RecommendationEngine against logged histories,
+ * so scoring and diversity changes can be compared with numbers:
+ * - Time-based train/test split of each viewer's history
+ * - Accuracy: precision@k, recall@k, NDCG@k
+ * - Beyond accuracy: catalog coverage, novelty, intra-list diversity
+ * - getRecommendations, getMoreLikeThis and getTrendingRecommendations
+ * - Side-by-side comparison of engine configurations
+ *
+ * Node only:
+ *   node evaluation.js catalog.json histories.json [--k=10] [--test=0.2] [--configs=configs.json]
+ *
+ * histories.json is an array of { viewingHistory, userRatings } objects
+ * (profile exports work as is); configs.json is an array of
+ * { name, engine: {...constructor options}, recommend: {...getRecommendations options} }.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const RecommendationEngine = require('./recommendation-engine.js');
+const CatalogSchema = require('./catalog.js');
+const { MemoryStorageAdapter } = require('./storage.js');
+
+class RecommendationEvaluator {
+    constructor(catalog, options = {}) {
+        this.catalog = catalog;
+        this.catalogById = new Map(catalog.map(movie => [String(movie.id), movie]));
+        this.k = options.k || 10;
+        this.testFraction = options.testFraction || 0.2; // Latest share of each history held out
+        this.minTrainEvents = options.minTrainEvents || 3; // Viewers with less history are skipped
+        this.relevantRating = options.relevantRating || 6; // Ratings at or above count as hits
+        this.trendingWindowDays = options.trendingWindowDays || 7;
+        this.usePeers = options.usePeers !== false; // Other viewers' training data feeds collaborative filtering
+    }
+
+    // ========================================
+    // EVALUATION
+    // ========================================
+
+    /**
+     * Evaluate one configuration over every viewer.
+     * Returns { config, users, metrics: { recommendations, moreLikeThis, trending } }.
+     */
+    evaluate(histories, config = {}) {
+        const splits = histories
+            .map((history, index) => ({ userId: history.userId || `user${index + 1}`, ...this.splitHistory(history) }))
+            .filter(split => split.trainEvents >= this.minTrainEvents && split.relevant.size > 0);
+
+        const popularity = this.getPopularity(splits);
+        const lists = { recommendations: [], moreLikeThis: [], trending: [] };
+
+        splits.forEach(split => {
+            const peers = this.usePeers
+                ? splits.filter(other => other !== split).map(other => ({
+                    profileId: other.userId,
+                    viewingHistory: other.train.viewingHistory,
+                    userRatings: other.train.userRatings
+                }))
+                : [];
+            const engine = this.createEngine(split, config.engine, peers);
+            const recommend = { ...config.recommend };
+
+            lists.recommendations.push({
+                split,
+                items: engine.getRecommendations(this.catalog, this.k, recommend).map(item => item.movie)
+            });
+
+            const seed = this.getSeedMovie(split);
+            lists.moreLikeThis.push({
+                split,
+                items: seed ? engine.getMoreLikeThis(seed, this.catalog, this.k).map(item => item.movie) : []
+            });
+
+            lists.trending.push({
+                split,
+                items: engine.getTrendingRecommendations(this.catalog, this.k, this.trendingWindowDays, split.cutoff)
+                    .map(item => item.movie)
+            });
+        });
+
+        const metrics = {};
+        Object.entries(lists).forEach(([algorithm, results]) => {
+            metrics[algorithm] = this.summarize(results, popularity, splits.length);
+        });
+
+        return { config: config.name || 'default', users: splits.length, metrics };
+    }
+
+    /**
+     * Evaluate several configurations on the same splits
+     */
+    compare(histories, configs) {
+        return configs.map(config => this.evaluate(histories, config));
+    }
+
+    /**
+     * Engine trained on a viewer's history as of the split time
+     */
+    createEngine(split, engineOptions = {}, peers = []) {
+        const engine = new RecommendationEngine({
+            ...engineOptions,
+            storage: new MemoryStorageAdapter(),
+            storageKey: split.userId
+        });
+
+        engine.viewingHistory = split.train.viewingHistory;
+        engine.userRatings = split.train.userRatings;
+        engine.watchedMovies = new Set(split.train.viewingHistory.map(view => view.movieId));
+        // Age signals relative to the split, as if the viewer were asking then
+        engine.recomputePreferences(split.cutoff);
+        engine.setPeerProfiles(peers);
+        return engine;
+    }
+
+    // ========================================
+    // TRAIN / TEST SPLIT
+    // ========================================
+
+    /**
+     * Hold out the latest testFraction of a viewer's events. Relevant items
+     * are titles first seen after the cutoff and watched to the end or rated
+     * well (low ratings never count).
+     */
+    splitHistory(history) {
+        const events = [];
+        (history.viewingHistory || []).forEach(view => {
+            const movie = this.catalogById.get(String(view.movieId));
+            if (movie && view.timestamp) events.push({ type: 'view', movie, record: view, timestamp: view.timestamp });
+        });
+        Object.entries(history.userRatings || {}).forEach(([movieId, entry]) => {
+            const movie = this.catalogById.get(String(movieId));
+            if (movie && entry.timestamp) events.push({ type: 'rating', movie, record: entry, timestamp: entry.timestamp });
+        });
+        events.sort((a, b) => a.timestamp - b.timestamp);
+
+        const trainCount = Math.max(1, Math.floor(events.length * (1 - this.testFraction)));
+        const train = events.slice(0, trainCount);
+        const test = events.slice(trainCount);
+        const cutoff = train.length > 0 ? train[train.length - 1].timestamp : Date.now();
+
+        const trainIds = new Set(train.map(event => String(event.movie.id)));
+        const viewingHistory = train
+            .filter(event => event.type === 'view')
+            .map(event => ({ ...event.record, movieId: event.movie.id, movie: event.movie }));
+        const userRatings = {};
+        train.filter(event => event.type === 'rating').forEach(event => {
+            userRatings[event.movie.id] = { ...event.record, movie: event.movie };
+        });
+
+        const relevant = new Set();
+        const disliked = new Set();
+        test.forEach(event => {
+            const key = String(event.movie.id);
+            if (trainIds.has(key)) return;
+            if (event.type === 'rating' && event.record.rating < this.relevantRating) {
+                disliked.add(key);
+            } else if (event.type === 'rating' || event.record.completed) {
+                relevant.add(key);
+            }
+        });
+        disliked.forEach(key => relevant.delete(key));
+
+        return {
+            train: { viewingHistory, userRatings },
+            trainEvents: train.length,
+            cutoff: cutoff,
+            relevant: relevant
+        };
+    }
+
+    /**
+     * Most recent title in the training history (the "because you watched" seed)
+     */
+    getSeedMovie(split) {
+        const views = split.train.viewingHistory;
+        return views.length > 0 ? views[views.length - 1].movie : null;
+    }
+
+    // ========================================
+    // METRICS
+    // ========================================
+
+    /**
+     * Average per-viewer metrics and compute catalog coverage for one algorithm
+     */
+    summarize(results, popularity, userCount) {
+        const recommended = new Set();
+        const totals = { precision: 0, recall: 0, ndcg: 0, novelty: 0, diversity: 0 };
+
+        results.forEach(({ split, items }) => {
+            items.forEach(movie => recommended.add(String(movie.id)));
+            const ids = items.map(movie => String(movie.id));
+
+            totals.precision += this.precisionAtK(ids, split.relevant);
+            totals.recall += this.recallAtK(ids, split.relevant);
+            totals.ndcg += this.ndcgAtK(ids, split.relevant);
+            totals.novelty += this.novelty(items, popularity, userCount);
+            totals.diversity += this.intraListDiversity(items);
+        });
+
+        const count = results.length || 1;
+        return {
+            precision: totals.precision / count,
+            recall: totals.recall / count,
+            ndcg: totals.ndcg / count,
+            coverage: this.catalog.length > 0 ? recommended.size / this.catalog.length : 0,
+            novelty: totals.novelty / count,
+            diversity: totals.diversity / count
+        };
+    }
+
+    precisionAtK(ids, relevant) {
+        const hits = ids.slice(0, this.k).filter(id => relevant.has(id)).length;
+        return hits / this.k;
+    }
+
+    recallAtK(ids, relevant) {
+        if (relevant.size === 0) return 0;
+        const hits = ids.slice(0, this.k).filter(id => relevant.has(id)).length;
+        return hits / relevant.size;
+    }
+
+    /**
+     * Binary-relevance NDCG: hits near the top count more
+     */
+    ndcgAtK(ids, relevant) {
+        const dcg = ids.slice(0, this.k).reduce((sum, id, i) =>
+            sum + (relevant.has(id) ? 1 / Math.log2(i + 2) : 0), 0);
+
+        let idcg = 0;
+        for (let i = 0; i < Math.min(relevant.size, this.k); i++) {
+            idcg += 1 / Math.log2(i + 2);
+        }
+
+        return idcg > 0 ? dcg / idcg : 0;
+    }
+
+    /**
+     * Mean self-information (-log2 of the share of viewers who saw each title);
+     * higher means less obvious picks
+     */
+    novelty(items, popularity, userCount) {
+        if (items.length === 0) return 0;
+
+        const total = items.reduce((sum, movie) => {
+            const seenBy = popularity.get(String(movie.id)) || 0;
+            return sum - Math.log2((seenBy + 1) / (userCount + 1));
+        }, 0);
+        return total / items.length;
+    }
+
+    /**
+     * Mean pairwise dissimilarity (1 - Jaccard over genres, people and themes)
+     */
+    intraListDiversity(items) {
+        if (items.length < 2) return 0;
+
+        const features = items.map(movie => this.getFeatures(movie));
+        let total = 0;
+        let pairs = 0;
+
+        for (let i = 0; i < features.length; i++) {
+            for (let j = i + 1; j < features.length; j++) {
+                total += 1 - this.jaccard(features[i], features[j]);
+                pairs++;
+            }
+        }
+
+        return total / pairs;
+    }
+
+    /**
+     * Training-period viewer count per title
+     */
+    getPopularity(splits) {
+        const popularity = new Map();
+        splits.forEach(split => {
+            const seen = new Set([
+                ...split.train.viewingHistory.map(view => String(view.movieId)),
+                ...Object.keys(split.train.userRatings)
+            ]);
+            seen.forEach(id => popularity.set(id, (popularity.get(id) || 0) + 1));
+        });
+        return popularity;
+    }
+
+    getFeatures(movie) {
+        const features = new Set();
+        (movie.genres || [movie.genre]).filter(Boolean).forEach(g => features.add(`genre:${g}`));
+        (movie.actors || []).forEach(a => features.add(`actor:${a}`));
+        (movie.themes || []).forEach(t => features.add(`theme:${t}`));
+        if (movie.director) features.add(`director:${movie.director}`);
+        if (movie.source) features.add(`source:${movie.source}`);
+        return features;
+    }
+
+    jaccard(a, b) {
+        if (a.size === 0 && b.size === 0) return 1;
+        let shared = 0;
+        a.forEach(value => {
+            if (b.has(value)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+
+    // ========================================
+    // REPORTING
+    // ========================================
+
+    /**
+     * Plain-text table of compare() results
+     */
+    formatReport(results) {
+        const columns = ['precision', 'recall', 'ndcg', 'coverage', 'novelty', 'diversity'];
+        const lines = [];
+
+        lines.push(`k = ${this.k}, test fraction = ${this.testFraction}`);
+        results.forEach(result => {
+            lines.push('');
+            lines.push(`${result.config} (${result.users} viewers)`);
+            lines.push(['algorithm'.padEnd(16), ...columns.map(c => c.padStart(10))].join(''));
+            Object.entries(result.metrics).forEach(([algorithm, metrics]) => {
+                lines.push([algorithm.padEnd(16), ...columns.map(c => metrics[c].toFixed(4).padStart(10))].join(''));
+            });
+        });
+
+        return lines.join('\n');
+    }
+}
+
+// ========================================
+// COMMAND LINE
+// ========================================
+
+if (require.main === module) {
+    const fs = require('fs');
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(args
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => arg.slice(2).split('=')));
+    const [catalogPath, historiesPath] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!catalogPath || !historiesPath) {
+        console.error('Usage: node evaluation.js catalog.json histories.json [--k=10] [--test=0.2] [--configs=configs.json]');
+        process.exit(1);
+    }
+
+    const readJson = path => JSON.parse(fs.readFileSync(path, 'utf8'));
+    const catalogData = readJson(catalogPath);
+    // Typed like the dashboard's catalog; invalid entries are reported and left out
+    const { movies: catalog } = new CatalogSchema().normalizeAll(
+        Array.isArray(catalogData) ? catalogData : catalogData.movies
+    );
+    const histories = readJson(historiesPath);
+    const configs = flags.configs ? readJson(flags.configs) : [{ name: 'default' }];
+
+    const evaluator = new RecommendationEvaluator(catalog, {
+        k: flags.k ? parseInt(flags.k) : undefined,
+        testFraction: flags.test ? parseFloat(flags.test) : undefined
+    });
+
+    // The engine logs every recommendation run; keep the report readable
+    const log = console.log;
+    console.log = () => {};
+    const results = evaluator.compare(histories, configs);
+    console.log = log;
+
+    console.log(evaluator.formatReport(results));
+}
+
+module.exports = RecommendationEvaluator;
@@ -0,0 +1,313 @@
+/**
+ * StreamVault Internet Archive Adapter
+ *
+ * Pulls feature films from the Internet Archive and normalizes them into the
+ * movie shape used by the dashboard and the RecommendationEngine:
+ * - advancedsearch.php for paged catalog listings
+ * - /metadata/{identifier} for per-title details
+ * - Deduplication against ids already in the catalog
+ * - Fixture-backed fetch stand-in for offline use
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class InternetArchiveAdapter {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'https://archive.org';
+        this.fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+        this.collection = options.collection || 'feature_films';
+        this.pageSize = options.pageSize || 50;
+        this.sort = options.sort || 'downloads desc';
+    }
+
+    // ========================================
+    // REQUESTS
+    // ========================================
+
+    /**
+     * Build an advancedsearch query URL for one page
+     */
+    buildSearchUrl(page = 1, query = '') {
+        const params = new URLSearchParams();
+        let q = `collection:(${this.collection}) AND mediatype:(movies)`;
+        if (query) q += ` AND (${query})`;
+
+        params.append('q', q);
+        ['identifier', 'title', 'year', 'date', 'subject', 'creator', 'description', 'runtime', 'avg_rating', 'downloads']
+            .forEach(field => params.append('fl[]', field));
+        params.append('sort[]', this.sort);
+        params.append('rows', this.pageSize);
+        params.append('page', page);
+        params.append('output', 'json');
+
+        return `${this.baseUrl}/advancedsearch.php?${params.toString()}`;
+    }
+
+    /**
+     * Build a metadata URL for a single item
+     */
+    buildMetadataUrl(identifier) {
+        return `${this.baseUrl}/metadata/${encodeURIComponent(identifier)}`;
+    }
+
+    /**
+     * Fetch and parse a JSON response
+     */
+    async requestJson(url) {
+        const response = await this.fetchImpl(url);
+        if (!response.ok) {
+            throw new Error(`Internet Archive request failed (${response.status}): ${url}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Fetch one page of search results
+     */
+    async fetchPage(page = 1, query = '') {
+        const data = await this.requestJson(this.buildSearchUrl(page, query));
+        const result = data.response || { numFound: 0, start: 0, docs: [] };
+        const docs = result.docs || [];
+
+        return {
+            page: page,
+            numFound: result.numFound || 0,
+            movies: docs.map(doc => this.normalizeSearchDoc(doc)).filter(Boolean),
+            hasMore: (result.start || 0) + docs.length < (result.numFound || 0)
+        };
+    }
+
+    /**
+     * Fetch full details for one item
+     */
+    async fetchMovie(identifier) {
+        const data = await this.requestJson(this.buildMetadataUrl(identifier));
+        return this.normalizeMetadata(data);
+    }
+
+    /**
+     * Fetch several pages and return new, deduplicated movies
+     */
+    async fetchCatalog(options = {}) {
+        const {
+            maxPages = 1,
+            query = '',
+            existingIds = [],
+            existingUrls = [],
+            enrich = false // Fetch /metadata for each title (one request per item)
+        } = options;
+
+        const seen = new Set(existingIds.map(String));
+        const seenUrls = new Set(existingUrls.map(url => url.toLowerCase()));
+        const movies = [];
+
+        for (let page = 1; page <= maxPages; page++) {
+            const result = await this.fetchPage(page, query);
+
+            result.movies.forEach(movie => {
+                if (seen.has(String(movie.id)) || seenUrls.has(movie.url.toLowerCase())) return;
+                seen.add(String(movie.id));
+                movies.push(movie);
+            });
+
+            if (!result.hasMore) break;
+        }
+
+        if (enrich) {
+            for (let i = 0; i < movies.length; i++) {
+                try {
+                    const details = await this.fetchMovie(movies[i].archiveId);
+                    if (details) movies[i] = { ...movies[i], ...details };
+                } catch (error) {
+                    console.error(`[Archive] Error loading metadata for ${movies[i].archiveId}:`, error);
+                }
+            }
+        }
+
+        console.log(`[Archive] Loaded ${movies.length} titles`);
+        return movies;
+    }
+
+    // ========================================
+    // NORMALIZATION
+    // ========================================
+
+    /**
+     * Normalize an advancedsearch doc into a catalog movie
+     */
+    normalizeSearchDoc(doc) {
+        if (!doc || !doc.identifier) return null;
+        return this.buildMovie(doc.identifier, doc, doc.avg_rating);
+    }
+
+    /**
+     * Normalize a /metadata response into a catalog movie
+     */
+    normalizeMetadata(data) {
+        if (!data || !data.metadata || !data.metadata.identifier) return null;
+        const movie = this.buildMovie(data.metadata.identifier, data.metadata, null);
+
+        // Only keep fields the metadata endpoint actually knows about
+        if (!data.metadata.avg_rating) delete movie.rating;
+        return movie;
+    }
+
+    /**
+     * Map archive fields onto the movie shape
+     */
+    buildMovie(identifier, fields, avgRating) {
+        const subjects = this.splitSubjects(fields.subject);
+        const genres = [];
+        const themes = [];
+
+        subjects.forEach(subject => {
+            const genre = InternetArchiveAdapter.GENRES[subject.toLowerCase()];
+            if (genre) {
+                if (!genres.includes(genre)) genres.push(genre);
+            } else if (!themes.includes(subject.toLowerCase())) {
+                themes.push(subject.toLowerCase());
+            }
+        });
+
+        const director = fields.director || this.firstValue(fields.creator) || null;
+        const rating = parseFloat(avgRating);
+
+        return {
+            id: `ia-${identifier}`,
+            archiveId: identifier,
+            title: this.firstValue(fields.title) || identifier,
+            year: this.extractYear(fields.year || fields.date),
+            rating: isNaN(rating) ? 'N/A' : (rating * 2).toFixed(1), // Archive rates 0-5
+            duration: this.formatRuntime(this.firstValue(fields.runtime)),
+            source: 'Internet Archive',
+            category: 'archive',
+            genre: genres[0] || 'various',
+            genres: genres.length > 0 ? genres : ['various'],
+            director: Array.isArray(director) ? director[0] : director,
+            actors: this.toArray(fields.cast || fields.actor),
+            themes: themes,
+            poster: `${this.baseUrl}/services/img/${encodeURIComponent(identifier)}`,
+            description: this.stripHtml(this.firstValue(fields.description) || ''),
+            url: `${this.baseUrl}/details/${encodeURIComponent(identifier)}`
+        };
+    }
+
+    // ========================================
+    // FIELD HELPERS
+    // ========================================
+
+    toArray(value) {
+        if (value === undefined || value === null || value === '') return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    firstValue(value) {
+        return this.toArray(value)[0];
+    }
+
+    splitSubjects(subject) {
+        return this.toArray(subject)
+            .flatMap(s => String(s).split(/[;,]/))
+            .map(s => s.trim())
+            .filter(Boolean);
+    }
+
+    extractYear(value) {
+        const match = String(this.firstValue(value) || '').match(/\d{4}/);
+        return match ? match[0] : 'Unknown';
+    }
+
+    /**
+     * Turn archive runtimes ("1:16:27", "76 min", "01:05") into "1h 16m"
+     */
+    formatRuntime(runtime) {
+        if (!runtime) return 'varies';
+        const text = String(runtime).trim();
+        let minutes = null;
+
+        if (/^\d+(:\d+){1,2}$/.test(text)) {
+            const parts = text.split(':').map(Number);
+            minutes = parts.length === 3
+                ? parts[0] * 60 + parts[1]
+                : parts[0]; // mm:ss
+        } else {
+            const match = text.match(/(\d+)\s*(min|m\b)/i);
+            if (match) minutes = parseInt(match[1]);
+        }
+
+        if (minutes === null || isNaN(minutes)) return text;
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    stripHtml(html) {
+        return String(html).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Subjects that map onto dashboard genres; everything else becomes a theme
+InternetArchiveAdapter.GENRES = {
+    'action': 'action',
+    'adventure': 'action',
+    'animation': 'animation',
+    'cartoon': 'animation',
+    'comedy': 'comedy',
+    'crime': 'crime',
+    'documentary': 'documentary',
+    'drama': 'drama',
+    'fantasy': 'fantasy',
+    'film noir': 'noir',
+    'noir': 'noir',
+    'horror': 'horror',
+    'musical': 'musical',
+    'mystery': 'mystery',
+    'romance': 'romance',
+    'science fiction': 'sci-fi',
+    'sci-fi': 'sci-fi',
+    'thriller': 'thriller',
+    'war': 'war',
+    'western': 'western'
+};
+
+// ========================================
+// OFFLINE STAND-IN
+// ========================================
+
+/**
+ * Create a fetch() replacement that answers from fixture data.
+ * fixture = { search: { "<page>": <advancedsearch json> }, metadata: { "<identifier>": <metadata json> } }
+ */
+function createArchiveFixtureFetch(fixture) {
+    const respond = (status, body) => Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status: status,
+        json: () => Promise.resolve(body)
+    });
+
+    return function fixtureFetch(url) {
+        const parsed = new URL(url);
+
+        if (parsed.pathname.endsWith('/advancedsearch.php')) {
+            const page = parsed.searchParams.get('page') || '1';
+            const body = fixture.search && fixture.search[page];
+            const rows = parseInt(parsed.searchParams.get('rows')) || 50;
+            return respond(200, body || {
+                response: { numFound: 0, start: (parseInt(page) - 1) * rows, docs: [] }
+            });
+        }
+
+        if (parsed.pathname.startsWith('/metadata/')) {
+            const identifier = decodeURIComponent(parsed.pathname.slice('/metadata/'.length));
+            const body = fixture.metadata && fixture.metadata[identifier];
+            return body ? respond(200, body) : respond(200, {});
+        }
+
+        return respond(404, {});
+    };
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InternetArchiveAdapter, createArchiveFixtureFetch };
+}
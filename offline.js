@@ -0,0 +1,121 @@
+/**
+ * StreamVault Offline Queue
+ *
+ * Views and ratings made without a connection are applied to the
+ * RecommendationEngine right away and also kept in a small durable queue:
+ * - Written synchronously, so they survive the tab closing before the
+ *   engine's batched write lands
+ * - Replayed into the engine on the next start if they never made it
+ * - Committed (dropped) once the engine has stored them after reconnecting
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class OfflineQueue {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'streamvault_offline_queue';
+        this.storage = options.storage || localStorage;
+        this.events = [];
+
+        this.load();
+    }
+
+    // ========================================
+    // QUEUE
+    // ========================================
+
+    /**
+     * Queue a 'view' { movie, watchDuration, completed, timestamp } or
+     * 'rating' { movie, rating, timestamp } event for a profile
+     */
+    enqueue(event) {
+        if (!event || !event.movie || !event.profileId) {
+            throw new Error('Offline events need a profileId and a movie');
+        }
+
+        this.events.push({ timestamp: Date.now(), ...event });
+        this.save();
+    }
+
+    /**
+     * Queued events, oldest first (optionally for one profile)
+     */
+    getPending(profileId = null) {
+        return this.events
+            .filter(event => profileId === null || event.profileId === profileId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    get size() {
+        return this.events.length;
+    }
+
+    /**
+     * Apply queued events the engine doesn't have yet; returns how many were applied
+     */
+    replay(engine, profileId) {
+        let applied = 0;
+
+        this.getPending(profileId).forEach(event => {
+            if (event.type === 'view') {
+                const seen = engine.viewingHistory.some(view =>
+                    String(view.movieId) === String(event.movie.id) && view.timestamp === event.timestamp
+                );
+                if (!seen) {
+                    engine.recordView(event.movie, event.watchDuration, event.completed, event.timestamp);
+                    applied++;
+                }
+            } else if (event.type === 'rating') {
+                const existing = engine.userRatings[event.movie.id];
+                if (!existing || existing.timestamp < event.timestamp) {
+                    engine.rateMovie(event.movie.id, event.rating, event.movie, event.timestamp);
+                    applied++;
+                }
+            }
+        });
+
+        if (applied > 0) console.log(`[Offline] Replayed ${applied} queued events for ${profileId}`);
+        return applied;
+    }
+
+    /**
+     * Drop a profile's events once the engine has stored them
+     */
+    commit(profileId) {
+        const before = this.events.length;
+        this.events = this.events.filter(event => event.profileId !== profileId);
+        if (this.events.length !== before) this.save();
+    }
+
+    // ========================================
+    // STORAGE MANAGEMENT
+    // ========================================
+
+    load() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            this.events = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[Offline] Error loading queued events:', error);
+            this.events = [];
+        }
+    }
+
+    save() {
+        try {
+            if (this.events.length === 0) {
+                this.storage.removeItem(this.storageKey);
+            } else {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.events));
+            }
+        } catch (error) {
+            console.error('[Offline] Error saving queued events:', error);
+        }
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
@@ -0,0 +1,231 @@
+/**
+ * StreamVault Playback Tracker
+ *
+ * Tracks one playback session at a time so the RecommendationEngine gets
+ * real watch durations and completion signals:
+ * - Session start/stop driven by the player modal lifecycle
+ * - Real position/duration through the YouTube IFrame Player API when available
+ * - Real position/duration from native <video> elements
+ * - Wall-clock estimate for embeds that don't expose their position
+ * - Periodic progress callbacks so resume positions survive a closed tab
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var requireShared = require('./shared.js');
+}
+
+class PlaybackTracker {
+    constructor(options = {}) {
+        this.onProgress = options.onProgress || null; // (session) => void
+        this.progressInterval = options.progressInterval || 10000;
+        this.completionThreshold = options.completionThreshold || 0.9;
+        this.session = null;
+        this.progressTimer = null;
+    }
+
+    // ========================================
+    // SESSION LIFECYCLE
+    // ========================================
+
+    /**
+     * Start tracking a title. resumeFrom is the position (s) playback starts at;
+     * pass video for a native player, or iframe + youtube for a YouTube embed.
+     */
+    start(movie, options = {}) {
+        if (this.session) this.stop();
+
+        const { iframe = null, video = null, resumeFrom = 0, youtube = false } = options;
+
+        this.session = {
+            movie: movie,
+            startedAt: Date.now(),
+            resumeFrom: resumeFrom,
+            runtime: PlaybackTracker.parseRuntime(movie.duration),
+            player: null
+        };
+
+        if (video) {
+            this.attachVideoElement(video);
+        } else if (youtube && iframe) {
+            this.attachYouTubePlayer(iframe);
+        }
+
+        if (this.onProgress) {
+            this.progressTimer = setInterval(() => {
+                if (this.session) this.onProgress(this.getSnapshot());
+            }, this.progressInterval);
+        }
+
+        return this.session;
+    }
+
+    /**
+     * Stop the current session and return what was watched
+     */
+    stop() {
+        if (!this.session) return null;
+
+        const snapshot = this.getSnapshot();
+
+        clearInterval(this.progressTimer);
+        this.progressTimer = null;
+        // The player wraps the modal's own iframe, so it is dropped, not destroyed
+        this.session = null;
+
+        return snapshot;
+    }
+
+    isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Current position, duration and completion for the session
+     * (measured from the player when possible, otherwise estimated)
+     */
+    getSnapshot() {
+        const session = this.session;
+        const watchDuration = Math.round((Date.now() - session.startedAt) / 1000);
+        let position = session.resumeFrom + watchDuration;
+        let duration = session.runtime;
+        let measured = false;
+
+        const player = session.player;
+        if (player && session.playerReady) {
+            try {
+                const current = player.getCurrentTime();
+                const total = player.getDuration();
+                if (current >= 0) {
+                    position = current;
+                    measured = true;
+                }
+                if (total > 0) duration = total;
+            } catch (error) {
+                console.error('[Playback] Error reading player position:', error);
+            }
+        }
+
+        if (duration) position = Math.min(position, duration);
+
+        return {
+            movie: session.movie,
+            watchDuration: watchDuration,
+            position: position,
+            duration: duration,
+            measured: measured,
+            completed: Boolean(duration) && position / duration >= this.completionThreshold
+        };
+    }
+
+    // ========================================
+    // NATIVE VIDEO
+    // ========================================
+
+    /**
+     * Read the position from a <video> element, seeking to the resume
+     * position once its metadata has loaded
+     */
+    attachVideoElement(video) {
+        const session = this.session;
+        session.player = {
+            getCurrentTime: () => video.currentTime,
+            getDuration: () => video.duration
+        };
+
+        const ready = () => {
+            if (this.session !== session) return;
+            if (session.resumeFrom > 0) video.currentTime = session.resumeFrom;
+            session.playerReady = true;
+        };
+        if (video.readyState >= 1) {
+            ready();
+        } else {
+            video.addEventListener('loadedmetadata', ready, { once: true });
+        }
+    }
+
+    // ========================================
+    // YOUTUBE PLAYER API
+    // ========================================
+
+    /**
+     * Bind the YouTube IFrame API to an embed (needs enablejsapi=1 in its src)
+     */
+    attachYouTubePlayer(iframe) {
+        const session = this.session;
+
+        PlaybackTracker.loadYouTubeApi().then(YT => {
+            // The session may have ended while the API was loading
+            if (!YT || this.session !== session) return;
+
+            session.player = new YT.Player(iframe, {
+                events: {
+                    onReady: () => { session.playerReady = true; }
+                }
+            });
+        });
+    }
+
+    /**
+     * Load the YouTube IFrame API once; resolves to window.YT or null
+     */
+    static loadYouTubeApi() {
+        if (PlaybackTracker.youtubeApiPromise) return PlaybackTracker.youtubeApiPromise;
+
+        PlaybackTracker.youtubeApiPromise = new Promise(resolve => {
+            if (typeof window === 'undefined' || typeof document === 'undefined') {
+                resolve(null);
+                return;
+            }
+            if (window.YT && window.YT.Player) {
+                resolve(window.YT);
+                return;
+            }
+
+            const previous = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (typeof previous === 'function') previous();
+                resolve(window.YT);
+            };
+
+            const script = document.createElement('script');
+            script.src = 'https://www.youtube.com/iframe_api';
+            script.onerror = () => {
+                console.error('[Playback] YouTube player API unavailable, using estimates');
+                resolve(null);
+            };
+            document.head.appendChild(script);
+        });
+
+        return PlaybackTracker.youtubeApiPromise;
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    /**
+     * Catalog durations (minutes, or text like "1h 36m", "45m", "varies")
+     * in seconds, or null
+     */
+    static parseRuntime(duration) {
+        if (!PlaybackTracker.catalogSchema) {
+            const Schema = requireShared('CatalogSchema', './catalog.js');
+            PlaybackTracker.catalogSchema = new Schema();
+        }
+
+        const minutes = PlaybackTracker.catalogSchema.parseDuration(duration);
+        return minutes === null ? null : minutes * 60;
+    }
+}
+
+PlaybackTracker.youtubeApiPromise = null;
+PlaybackTracker.catalogSchema = null; // Shared by parseRuntime
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackTracker;
+}
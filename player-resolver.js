@@ -0,0 +1,336 @@
+/**
+ * StreamVault Player Resolver
+ *
+ * Works out how the player modal can play a title, per source:
+ * - YouTube: an embed URL for the video id (channel and home page links
+ *   aren't playable)
+ * - Internet Archive: the item's best browser-playable file and its
+ *   subtitle files for the native player, from /metadata; the archive.org
+ *   embed player when the file list can't be read
+ * - Direct media links (.mp4, .webm, ...): the native player
+ *
+ * resolve() never throws: titles that can't be played resolve to
+ * { kind: 'error', message, link } for the modal to show.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class PlayerResolver {
+    constructor(options = {}) {
+        this.fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+        this.archiveBaseUrl = options.archiveBaseUrl || 'https://archive.org';
+        this.resolvers = [];
+
+        this.register({
+            name: 'youtube',
+            matches: movie => this.isYouTubeUrl(movie.url),
+            resolve: (movie, options) => this.resolveYouTube(movie, options)
+        });
+        // Before the archive: archive.org/download/<id>/<file>.mp4 links play as they are
+        this.register({
+            name: 'media-file',
+            matches: movie => this.getMediaType(movie.url) !== null,
+            resolve: movie => this.resolveMediaFile(movie)
+        });
+        this.register({
+            name: 'internet-archive',
+            matches: movie => Boolean(movie.archiveId) || this.isArchiveUrl(movie.url),
+            resolve: movie => this.resolveArchive(movie)
+        });
+    }
+
+    // ========================================
+    // REGISTRATION
+    // ========================================
+
+    /**
+     * Add a resolver: { name, matches(movie), resolve(movie, options) }.
+     * Resolvers are tried in registration order; the first match decides.
+     */
+    register(resolver) {
+        if (!resolver || !resolver.name || typeof resolver.matches !== 'function' || typeof resolver.resolve !== 'function') {
+            throw new Error('Player resolvers need a name, matches() and resolve()');
+        }
+        this.resolvers = [...this.resolvers.filter(r => r.name !== resolver.name), resolver];
+        return this;
+    }
+
+    // ========================================
+    // RESOLVING
+    // ========================================
+
+    /**
+     * How to play a movie:
+     * - { kind: 'embed', src, youtube } for an iframe
+     * - { kind: 'video', src, type, tracks: [{ src, label, srclang }] } for <video>
+     * - { kind: 'error', message, link } when it can't be played here
+     * options.resumeFrom (s) is passed on to embeds that support a start time.
+     */
+    async resolve(movie, options = {}) {
+        if (!movie || !movie.url) return this.unavailable(movie, 'This title has no video link');
+
+        const resolver = this.resolvers.find(r => r.matches(movie));
+        if (!resolver) return this.unavailable(movie, `Titles from ${movie.source || 'this source'} can't be played here`);
+
+        try {
+            return await resolver.resolve(movie, options);
+        } catch (error) {
+            console.error(`[Player] ${resolver.name}: could not resolve ${movie.title}`, error);
+            return this.unavailable(movie, 'This title could not be loaded');
+        }
+    }
+
+    unavailable(movie, message) {
+        return { kind: 'error', message, link: movie && movie.url ? movie.url : null };
+    }
+
+    // ========================================
+    // YOUTUBE
+    // ========================================
+
+    resolveYouTube(movie, options = {}) {
+        const videoId = this.extractYouTubeId(movie.url);
+        if (!videoId) return this.unavailable(movie, 'This links to a YouTube page, not a single video');
+
+        const params = new URLSearchParams({ enablejsapi: '1' });
+        if (options.resumeFrom > 0) params.set('start', Math.floor(options.resumeFrom));
+        return { kind: 'embed', src: `https://www.youtube.com/embed/${videoId}?${params}`, youtube: true };
+    }
+
+    isYouTubeUrl(url) {
+        const host = this.getHost(url);
+        return host === 'youtu.be' || host === 'youtube.com' || host === 'youtube-nocookie.com';
+    }
+
+    /**
+     * Video id from watch, youtu.be, embed, shorts and live links;
+     * null for channels, playlists and the home page
+     */
+    extractYouTubeId(url) {
+        const parsed = this.parseUrl(url);
+        if (!parsed) return null;
+
+        const host = this.getHost(url);
+        let id = null;
+        if (host === 'youtu.be') {
+            id = parsed.pathname.split('/')[1];
+        } else if (parsed.pathname === '/watch') {
+            id = parsed.searchParams.get('v');
+        } else {
+            const match = parsed.pathname.match(/^\/(?:embed|v|shorts|live)\/([^/]+)/);
+            id = match ? match[1] : null;
+        }
+
+        return id && /^[\w-]{11}$/.test(id) ? id : null;
+    }
+
+    // ========================================
+    // INTERNET ARCHIVE
+    // ========================================
+
+    async resolveArchive(movie) {
+        const identifier = this.getArchiveIdentifier(movie);
+        if (!identifier) return this.unavailable(movie, 'This links to the Internet Archive, not a single film');
+
+        const base = this.archiveBaseUrl;
+        const embed = { kind: 'embed', src: `${base}/embed/${encodeURIComponent(identifier)}`, youtube: false };
+
+        let data;
+        try {
+            const response = await this.fetchImpl(`${base}/metadata/${encodeURIComponent(identifier)}`);
+            if (!response.ok) throw new Error(`Metadata request failed (${response.status})`);
+            data = await response.json();
+        } catch (error) {
+            console.warn(`[Player] No file list for ${identifier}, using the archive.org player`, error);
+            return embed;
+        }
+
+        if (!data || !data.metadata) return this.unavailable(movie, 'This film is no longer on the Internet Archive');
+        if (data.metadata.mediatype === 'collection') {
+            return this.unavailable(movie, 'This links to an Internet Archive collection, not a single film');
+        }
+
+        const files = Array.isArray(data.files) ? data.files : [];
+        const video = this.pickArchiveVideo(files);
+        if (!video) return embed;
+
+        const fileUrl = name => `${base}/download/${encodeURIComponent(identifier)}/${name.split('/').map(encodeURIComponent).join('/')}`;
+        const subtitles = files.filter(file => /\.(srt|vtt)$/i.test(file.name || ''));
+        const tracks = await this.loadTracks(subtitles.map(file => ({ url: fileUrl(file.name), name: file.name })));
+
+        return { kind: 'video', src: fileUrl(video.name), type: this.getMediaType(video.name), tracks };
+    }
+
+    /**
+     * archiveId from the catalog, or the identifier in a /details/ link
+     */
+    getArchiveIdentifier(movie) {
+        if (movie.archiveId) return movie.archiveId;
+
+        const parsed = this.parseUrl(movie.url);
+        const match = parsed && parsed.pathname.match(/^\/(?:details|embed)\/([^/]+)/);
+        if (!match) return null;
+
+        const identifier = decodeURIComponent(match[1]);
+        // Collection pages (e.g. /details/feature_films) aren't single films
+        return PlayerResolver.ARCHIVE_COLLECTIONS.includes(identifier) ? null : identifier;
+    }
+
+    isArchiveUrl(url) {
+        return this.getHost(url) === 'archive.org';
+    }
+
+    /**
+     * Best streaming format first (ARCHIVE_FORMATS order) among the
+     * archive's files, limited to files a browser can play
+     */
+    pickArchiveVideo(files) {
+        const rank = file => {
+            const index = PlayerResolver.ARCHIVE_FORMATS.indexOf(file.format);
+            return index === -1 ? PlayerResolver.ARCHIVE_FORMATS.length : index;
+        };
+
+        return files
+            .filter(file => file.name && this.getMediaType(file.name) !== null)
+            .sort((a, b) => rank(a) - rank(b))[0] || null;
+    }
+
+    // ========================================
+    // MEDIA FILES
+    // ========================================
+
+    async resolveMediaFile(movie) {
+        // Catalog entries may list subtitle URLs, or { src, srclang, label }
+        const subtitles = (Array.isArray(movie.subtitles) ? movie.subtitles : [])
+            .map(track => (typeof track === 'string' ? { url: track } : { url: track.src, srclang: track.srclang, label: track.label }))
+            .filter(track => track.url);
+
+        return {
+            kind: 'video',
+            src: movie.url,
+            type: this.getMediaType(movie.url),
+            tracks: await this.loadTracks(subtitles)
+        };
+    }
+
+    /**
+     * MIME type for a browser-playable file name or URL, or null
+     */
+    getMediaType(url) {
+        const parsed = this.parseUrl(url);
+        const path = parsed ? parsed.pathname : String(url || '');
+        const match = path.toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? PlayerResolver.MEDIA_TYPES[match[1]] || null : null;
+    }
+
+    // ========================================
+    // SUBTITLES
+    // ========================================
+
+    /**
+     * Fetch subtitle files ({ url, name?, srclang?, label? }) as WebVTT data
+     * URLs (SRT is converted, since <track> only reads WebVTT); files that
+     * fail to load are left out
+     */
+    async loadTracks(files) {
+        const tracks = await Promise.all(files.map(async file => {
+            try {
+                const response = await this.fetchImpl(file.url);
+                if (!response.ok) throw new Error(`Subtitle request failed (${response.status})`);
+                const vtt = this.toWebVtt(await response.text());
+
+                const srclang = file.srclang || this.guessLanguage(file.name || file.url);
+                return {
+                    src: `data:text/vtt;charset=utf-8,${encodeURIComponent(vtt)}`,
+                    srclang: srclang || '',
+                    label: file.label || this.getLanguageLabel(srclang) || 'Subtitles'
+                };
+            } catch (error) {
+                console.warn(`[Player] Skipping subtitles ${file.name || file.url}:`, error);
+                return null;
+            }
+        }));
+
+        return tracks.filter(Boolean);
+    }
+
+    /**
+     * SRT to WebVTT: add the header and use dots for milliseconds
+     */
+    toWebVtt(text) {
+        const body = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+        if (body.startsWith('WEBVTT')) return body;
+
+        return `WEBVTT\n\n${body.replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')}\n`;
+    }
+
+    /**
+     * Language code from names like "film.en.srt" or "film_eng.vtt"
+     */
+    guessLanguage(name) {
+        const match = String(name || '').toLowerCase().match(/[._-]([a-z]{2,3})\.(srt|vtt)$/);
+        if (!match) return null;
+        return PlayerResolver.LANGUAGE_CODES[match[1]] || (match[1].length === 2 ? match[1] : null);
+    }
+
+    getLanguageLabel(code) {
+        if (!code) return null;
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+        } catch (error) {
+            return code.toUpperCase();
+        }
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    parseUrl(url) {
+        try {
+            return new URL(url);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Hostname without www./m. prefixes, or null
+     */
+    getHost(url) {
+        const parsed = this.parseUrl(url);
+        return parsed ? parsed.hostname.replace(/^(www|m)\./, '') : null;
+    }
+}
+
+// Archive derivative formats, best first for streaming
+PlayerResolver.ARCHIVE_FORMATS = ['h.264', 'h.264 IA', 'MPEG4', '512Kb MPEG4', 'WebM', 'Ogg Video'];
+
+// Archive identifiers that are collections rather than films
+PlayerResolver.ARCHIVE_COLLECTIONS = ['feature_films', 'movies', 'moviesandfilms', 'publicdomainmovies'];
+
+// Extensions the native player can handle
+PlayerResolver.MEDIA_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm',
+    ogv: 'video/ogg'
+};
+
+// Three-letter codes seen in subtitle file names
+PlayerResolver.LANGUAGE_CODES = {
+    eng: 'en',
+    spa: 'es',
+    fre: 'fr',
+    fra: 'fr',
+    ger: 'de',
+    deu: 'de',
+    ita: 'it',
+    por: 'pt'
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlayerResolver;
+}
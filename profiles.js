@@ -0,0 +1,319 @@
+/**
+ * StreamVault Profile Manager
+ *
+ * Named viewer profiles on one device, each with its own
+ * RecommendationEngine state:
+ * - Create, rename, delete and switch profiles
+ * - Kids profiles with a genre / content-rating filter
+ * - Per-profile storage keys in a shared engine storage adapter
+ * - Migration of the original single-key data into a default profile
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var requireShared = require('./shared.js');
+}
+
+class ProfileManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'streamvault_profiles';
+        this.legacyEngineKey = options.legacyEngineKey || 'streamvault_recommendations';
+        this.storage = options.storage || RecommendationEngine.createDefaultStorage(); // Engine data
+        this.profiles = [];
+        this.activeProfileId = null;
+
+        this.load();
+    }
+
+    // ========================================
+    // PROFILE MANAGEMENT
+    // ========================================
+
+    /**
+     * Create a new profile
+     */
+    createProfile(name, options = {}) {
+        const trimmed = this.validateName(name);
+        const kids = Boolean(options.kids);
+
+        const profile = {
+            id: this.generateId(),
+            name: trimmed,
+            kids: kids,
+            contentFilter: kids
+                ? { ...ProfileManager.KIDS_FILTER, ...options.contentFilter }
+                : (options.contentFilter || null),
+            createdAt: Date.now()
+        };
+
+        this.profiles.push(profile);
+        this.save();
+
+        console.log(`[Profiles] Created profile: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * Rename an existing profile
+     */
+    renameProfile(profileId, name) {
+        const profile = this.getProfile(profileId);
+        if (!profile) throw new Error(`Unknown profile: ${profileId}`);
+
+        profile.name = this.validateName(name, profileId);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Delete a profile and its engine data (the last profile cannot be deleted)
+     */
+    deleteProfile(profileId) {
+        if (this.profiles.length <= 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+
+        const index = this.profiles.findIndex(p => p.id === profileId);
+        if (index === -1) return false;
+
+        this.profiles.splice(index, 1);
+        this.storage.remove(this.getEngineStorageKey(profileId)).catch(error => {
+            console.error('[Profiles] Error removing profile data:', error);
+        });
+
+        if (this.activeProfileId === profileId) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+
+        this.save();
+        console.log(`[Profiles] Deleted profile: ${profileId}`);
+        return true;
+    }
+
+    /**
+     * Make a profile the active one
+     */
+    switchProfile(profileId) {
+        if (!this.getProfile(profileId)) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+
+        this.activeProfileId = profileId;
+        this.save();
+        return this.getActiveProfile();
+    }
+
+    getProfile(profileId) {
+        return this.profiles.find(p => p.id === profileId) || null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    getProfiles() {
+        return this.profiles.slice();
+    }
+
+    // ========================================
+    // ENGINE STATE
+    // ========================================
+
+    /**
+     * Storage key holding a profile's engine data
+     */
+    getEngineStorageKey(profileId) {
+        return `${this.legacyEngineKey}:${profileId}`;
+    }
+
+    /**
+     * Create a RecommendationEngine bound to a profile (active by default)
+     */
+    createEngine(profileId = this.activeProfileId, options = {}) {
+        const Engine = requireShared('RecommendationEngine', './recommendation-engine.js');
+        return new Engine({
+            ...options,
+            storage: this.storage,
+            storageKey: this.getEngineStorageKey(profileId)
+        });
+    }
+
+    /**
+     * Stored activity of every other profile, for collaborative filtering
+     * (resolves to an array; unreadable profiles are left out)
+     */
+    async getPeerData(profileId = this.activeProfileId) {
+        const peers = await Promise.all(this.profiles
+            .filter(p => p.id !== profileId)
+            .map(async p => {
+                try {
+                    const data = await this.storage.load(this.getEngineStorageKey(p.id));
+                    if (!data) return null;
+                    return {
+                        profileId: p.id,
+                        viewingHistory: data.viewingHistory || [],
+                        userRatings: data.userRatings || {}
+                    };
+                } catch (error) {
+                    console.error(`[Profiles] Error reading data for ${p.id}:`, error);
+                    return null;
+                }
+            }));
+
+        return peers.filter(Boolean);
+    }
+
+    // ========================================
+    // CONTENT FILTER
+    // ========================================
+
+    /**
+     * Whether a movie passes a profile's content filter
+     */
+    isAllowed(movie, profile = this.getActiveProfile()) {
+        const filter = profile && profile.contentFilter;
+        if (!filter) return true;
+
+        const genres = (movie.genres || [movie.genre]).filter(Boolean).map(g => g.toLowerCase());
+
+        if (filter.blockedGenres && genres.some(g => filter.blockedGenres.includes(g))) {
+            return false;
+        }
+
+        if (filter.allowedGenres && !genres.some(g => filter.allowedGenres.includes(g))) {
+            return false;
+        }
+
+        if (filter.maxContentRating) {
+            const max = this.getContentRatingLevel(filter.maxContentRating);
+            // Missing and unknown ratings are treated as adult content
+            const level = movie.contentRating ? this.getContentRatingLevel(movie.contentRating) : -1;
+            if (level === -1 || level > max) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Filter a catalog down to what the profile may see
+     */
+    filterCatalog(movies, profile = this.getActiveProfile()) {
+        return movies.filter(movie => this.isAllowed(movie, profile));
+    }
+
+    getContentRatingLevel(rating) {
+        const normalized = String(rating).toUpperCase().trim();
+        const level = ProfileManager.CONTENT_RATING_LEVELS[normalized];
+        return level === undefined ? -1 : level;
+    }
+
+    // ========================================
+    // STORAGE MANAGEMENT
+    // ========================================
+
+    /**
+     * Load profiles, migrating single-key data on first run
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                this.profiles = data.profiles || [];
+                this.activeProfileId = data.activeProfileId || null;
+            }
+        } catch (error) {
+            console.error('[Profiles] Error loading profiles:', error);
+        }
+
+        if (this.profiles.length === 0) {
+            this.migrateLegacyData();
+        }
+
+        if (!this.getActiveProfile()) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+    }
+
+    /**
+     * Move data stored under the original single key into a default profile
+     */
+    migrateLegacyData() {
+        const profile = {
+            id: 'default',
+            name: 'Me',
+            kids: false,
+            contentFilter: null,
+            createdAt: Date.now()
+        };
+        this.profiles = [profile];
+        this.activeProfileId = profile.id;
+
+        try {
+            const legacy = localStorage.getItem(this.legacyEngineKey);
+            if (legacy) {
+                localStorage.setItem(this.getEngineStorageKey(profile.id), legacy);
+                localStorage.removeItem(this.legacyEngineKey);
+                console.log('[Profiles] Migrated existing data into the default profile');
+            }
+        } catch (error) {
+            console.error('[Profiles] Error migrating legacy data:', error);
+        }
+
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                profiles: this.profiles,
+                activeProfileId: this.activeProfileId
+            }));
+        } catch (error) {
+            console.error('[Profiles] Error saving profiles:', error);
+        }
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    validateName(name, ignoreId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Profile name cannot be empty');
+
+        const taken = this.profiles.some(p =>
+            p.id !== ignoreId && p.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) throw new Error(`A profile named "${trimmed}" already exists`);
+
+        return trimmed;
+    }
+
+    generateId() {
+        return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+}
+
+// Default filter applied to kids profiles
+ProfileManager.KIDS_FILTER = {
+    blockedGenres: ['horror', 'thriller', 'crime', 'noir', 'war'],
+    allowedGenres: null,
+    maxContentRating: 'PG'
+};
+
+// Movie and TV ratings on one scale
+ProfileManager.CONTENT_RATING_LEVELS = {
+    'G': 0, 'TV-Y': 0, 'TV-G': 0,
+    'TV-Y7': 1, 'PG': 1, 'TV-PG': 1,
+    'PG-13': 2, 'TV-14': 2,
+    'R': 3, 'TV-MA': 3,
+    'NC-17': 4
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
@@ -0,0 +1,362 @@
+/**
+ * StreamVault Ratings Importer
+ *
+ * Brings ratings and watch history from other services into a
+ * RecommendationEngine, so new users skip the cold start:
+ * - Parses Letterboxd (ratings, diary, watched) and IMDb (ratings, lists) CSV exports
+ * - Matches rows to catalog titles by normalized title + year, with a fuzzy fallback
+ * - Converts rating scales to the engine's 1-10
+ * - Reports unmatched rows, with suggestions, for manual resolution
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var requireShared = require('./shared.js');
+}
+
+class RatingsImporter {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.searchIndex = options.searchIndex || null; // Built from the catalog when omitted
+        this.fuzzyThreshold = options.fuzzyThreshold || 0.8; // Minimum title similarity (0-1)
+        this.yearTolerance = options.yearTolerance !== undefined ? options.yearTolerance : 1;
+        this.suggestionCount = options.suggestionCount || 3;
+    }
+
+    // ========================================
+    // IMPORTING
+    // ========================================
+
+    /**
+     * Parse, match and apply a CSV export in one go
+     */
+    importCsv(text, catalog) {
+        const { format, rows, invalid } = this.parse(text);
+        const { matched, unmatched } = this.match(rows, catalog);
+        const applied = this.apply(matched);
+
+        console.log(`[Ratings Import] ${format.label}: ${matched.length}/${rows.length} matched, ${applied.rated} ratings, ${applied.viewed} views`);
+
+        return {
+            format: format,
+            total: rows.length,
+            matched: matched,
+            unmatched: unmatched,
+            invalid: invalid,
+            ...applied
+        };
+    }
+
+    /**
+     * Feed matched rows into the engine in one batch. Rows older than what
+     * the engine already has are skipped, and undated views only count for
+     * titles without one, so importing the same file twice is harmless.
+     */
+    apply(matched) {
+        const ratings = new Map(); // movieId -> { movie, rating, timestamp }, newest row wins
+        const views = [];
+        const viewTimes = new Map(); // movieId -> Set of view timestamps, engine and file
+        let skipped = 0;
+
+        this.engine.viewingHistory.forEach(view => this.addViewTime(viewTimes, view.movieId, view.timestamp));
+
+        matched.forEach(({ row, movie }) => {
+            const timestamp = row.date || Date.now();
+            const key = String(movie.id);
+
+            if (row.rating !== null) {
+                const existing = ratings.get(key) || this.engine.userRatings[movie.id];
+                // Undated rows can't be newer or older; only a changed rating counts
+                const isNewer = !existing || (row.date ? existing.timestamp < timestamp : existing.rating !== row.rating);
+                if (isNewer) {
+                    ratings.set(key, { movie, rating: row.rating, timestamp });
+                } else {
+                    skipped++;
+                }
+            }
+
+            if (row.watched) {
+                const times = viewTimes.get(key);
+                const seen = Boolean(times) && (row.date ? times.has(timestamp) : times.size > 0);
+                if (!seen) {
+                    views.push({ movie, watchDuration: null, completed: true, timestamp });
+                    this.addViewTime(viewTimes, key, timestamp);
+                } else if (row.rating === null) {
+                    skipped++;
+                }
+            }
+        });
+
+        this.engine.recordActivity({ views, ratings: Array.from(ratings.values()) });
+        return { rated: ratings.size, viewed: views.length, skipped };
+    }
+
+    addViewTime(viewTimes, movieId, timestamp) {
+        const key = String(movieId);
+        if (!viewTimes.has(key)) viewTimes.set(key, new Set());
+        viewTimes.get(key).add(timestamp);
+    }
+
+    /**
+     * Apply a row the user matched by hand
+     */
+    resolve(row, movie) {
+        return this.apply([{ row, movie, matchType: 'manual' }]);
+    }
+
+    // ========================================
+    // PARSING
+    // ========================================
+
+    /**
+     * Turn a CSV export into rows of { title, year, rating, date, watched, line }
+     */
+    parse(text) {
+        const records = this.parseCsv(text);
+        if (records.length === 0) throw new Error('The file is empty');
+
+        const headers = records[0].map(h => h.trim());
+        const format = this.detectFormat(headers);
+        const column = name => headers.indexOf(name);
+        const rows = [];
+        const invalid = [];
+
+        records.slice(1).forEach((record, i) => {
+            const line = i + 2;
+            if (record.every(cell => cell.trim() === '')) return;
+
+            const get = name => {
+                const index = column(name);
+                return index === -1 ? '' : (record[index] || '').trim();
+            };
+
+            const title = get(format.titleColumn);
+            if (!title) {
+                invalid.push({ line, reason: 'Missing title' });
+                return;
+            }
+
+            const rawRating = format.ratingColumn ? get(format.ratingColumn) : '';
+            const rating = rawRating ? this.convertRating(rawRating, format.ratingScale) : null;
+            if (rawRating && rating === null) {
+                invalid.push({ line, reason: `Invalid rating "${rawRating}"` });
+                return;
+            }
+            if (rating === null && !format.watched) return; // Unrated row in a ratings file
+
+            const year = parseInt(get('Year'));
+            rows.push({
+                title: title,
+                year: isNaN(year) ? null : year,
+                rating: rating,
+                date: format.dateColumns.map(get).map(value => this.parseDate(value)).find(Boolean) || null,
+                watched: format.watched,
+                line: line
+            });
+        });
+
+        return { format, rows, invalid };
+    }
+
+    /**
+     * Work out which service and export file the headers come from
+     */
+    detectFormat(headers) {
+        const has = name => headers.includes(name);
+
+        if (has('Letterboxd URI') && has('Name')) {
+            const diary = has('Watched Date');
+            const ratings = has('Rating');
+            return {
+                id: diary ? 'letterboxd-diary' : (ratings ? 'letterboxd-ratings' : 'letterboxd-watched'),
+                label: diary ? 'Letterboxd diary' : (ratings ? 'Letterboxd ratings' : 'Letterboxd watched'),
+                titleColumn: 'Name',
+                ratingColumn: ratings ? 'Rating' : null,
+                ratingScale: 5,
+                dateColumns: ['Watched Date', 'Date'],
+                watched: diary || !ratings
+            };
+        }
+
+        if (has('Const') && has('Title')) {
+            const ratings = has('Your Rating');
+            // IMDb lists (e.g. check-ins) share the layout but carry no rating
+            return {
+                id: ratings ? 'imdb-ratings' : 'imdb-list',
+                label: ratings ? 'IMDb ratings' : 'IMDb list',
+                titleColumn: 'Title',
+                ratingColumn: ratings ? 'Your Rating' : null,
+                ratingScale: 10,
+                dateColumns: ['Date Rated', 'Created'],
+                watched: !ratings
+            };
+        }
+
+        throw new Error('Unrecognized CSV: expected a Letterboxd or IMDb export');
+    }
+
+    /**
+     * RFC 4180 CSV: quoted fields, escaped quotes, embedded newlines, BOM
+     */
+    parseCsv(text) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Convert a rating on a 5-star (half stars allowed) or 10-point scale to 1-10
+     */
+    convertRating(value, scale) {
+        const rating = parseFloat(value);
+        if (isNaN(rating) || rating <= 0 || rating > scale) return null;
+
+        const converted = rating * (10 / scale);
+        return Math.min(10, Math.max(1, Math.round(converted * 2) / 2));
+    }
+
+    parseDate(value) {
+        if (!value) return null;
+        const timestamp = Date.parse(value);
+        return isNaN(timestamp) ? null : timestamp;
+    }
+
+    // ========================================
+    // MATCHING
+    // ========================================
+
+    /**
+     * Match rows to catalog titles: exact title + year, then title with a
+     * nearby year (services disagree on release years), then fuzzy title.
+     */
+    match(rows, catalog) {
+        const byTitle = new Map();
+        catalog.forEach(movie => {
+            const key = this.normalizeTitle(movie.title);
+            if (!byTitle.has(key)) byTitle.set(key, []);
+            byTitle.get(key).push(movie);
+        });
+
+        const index = this.searchIndex || new (requireShared('SearchIndex', './search-index.js'))().build(catalog);
+        const matched = [];
+        const unmatched = [];
+
+        rows.forEach(row => {
+            const key = this.normalizeTitle(row.title);
+            const sameTitle = byTitle.get(key) || [];
+
+            const exact = sameTitle.find(movie => this.yearDistance(row, movie) === 0);
+            if (exact) {
+                matched.push({ row, movie: exact, matchType: 'exact' });
+                return;
+            }
+
+            const nearby = sameTitle.find(movie => this.yearDistance(row, movie) <= this.yearTolerance);
+            if (nearby) {
+                matched.push({ row, movie: nearby, matchType: 'year' });
+                return;
+            }
+
+            const candidates = this.findCandidates(row, index);
+            const fuzzy = candidates.find(c =>
+                c.similarity >= this.fuzzyThreshold && this.yearDistance(row, c.movie) <= this.yearTolerance
+            );
+            if (fuzzy) {
+                matched.push({ row, movie: fuzzy.movie, matchType: 'fuzzy' });
+                return;
+            }
+
+            unmatched.push({
+                row: row,
+                candidates: candidates.slice(0, this.suggestionCount).map(c => c.movie)
+            });
+        });
+
+        return { matched, unmatched };
+    }
+
+    /**
+     * Catalog titles resembling a row, most similar first
+     */
+    findCandidates(row, index) {
+        const key = this.normalizeTitle(row.title);
+
+        return index.search(row.title, { limit: 20 })
+            .map(({ movie }) => {
+                const title = this.normalizeTitle(movie.title);
+                const longest = Math.max(title.length, key.length) || 1;
+                return {
+                    movie: movie,
+                    similarity: 1 - index.editDistance(key, title) / longest
+                };
+            })
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * Years apart (0 when either side has no usable year)
+     */
+    yearDistance(row, movie) {
+        const year = parseInt(movie.year);
+        if (row.year === null || isNaN(year)) return 0;
+        return Math.abs(row.year - year);
+    }
+
+    /**
+     * Lowercase, fold accents and "&", drop a leading article and punctuation
+     */
+    normalizeTitle(title) {
+        return String(title || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/^(the|a|an) /, '');
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RatingsImporter;
+}
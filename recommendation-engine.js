@@ -6,31 +6,102 @@
  * - Genre preferences
  * - Actor/Director preferences
  * - Thematic similarities
+ * - Description similarity (TF-IDF content vectors)
  * - Viewing patterns
  * - User ratings
+ * - Collaborative filtering across other viewer profiles
+ *
+ * Content scoring is built from registered facets (genre, actor, ...), so a
+ * new attribute like language only needs one facet definition.
  * 
  * @version 1.0.0
  * @license MIT
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+    var requireShared = require('./shared.js');
+}
+
 class RecommendationEngine {
-    constructor() {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'streamvault_recommendations';
+        this.storage = options.storage || RecommendationEngine.createDefaultStorage();
+        this.onStorageError = options.onStorageError || null; // (error) => void, after a failed write
+        this.storageError = null; // Last write error, cleared by the next successful write
+        this.tabSync = options.tabSync || null; // TabSync shared by the page's engines, told about every write
+        this.onSync = options.onSync || null; // (engine) => void, after another tab's changes are merged in
         this.viewingHistory = [];
         this.userRatings = {};
         this.watchedMovies = new Set();
-        this.preferences = {
-            genres: {},
-            actors: {},
-            directors: {},
-            themes: {},
-            sources: {},
-            decades: {}
-        };
-        this.recommendationCache = null;
+        this.watchlist = [];
+        this.playbackProgress = {}; // movieId -> { position, duration, updatedAt }
+        this.hiddenTitles = {}; // movieId -> { hiddenAt, notInterested, movie }
+        this.blockedValues = []; // [{ facet, value, blockedAt }], e.g. never show horror
+        this.removals = {}; // 'watchlist:12' -> removedAt, so merging with another tab doesn't bring entries back
+        this.resetAt = 0; // Last reset or replacing import; older state from other tabs is discarded
+
+        // Scoring facets (see RecommendationEngine.DEFAULT_FACETS), plus any extra
+        // ones passed in; facetWeights / similarityWeights / diversityWeights override their weights
+        this.facets = new Map();
+        [...RecommendationEngine.DEFAULT_FACETS, ...(options.facets || [])]
+            .forEach(facet => this.facets.set(facet.name, this.validateFacet(facet)));
+        if (options.facetWeights) this.applyWeights(options.facetWeights, 'weight');
+        if (options.similarityWeights) this.applyWeights(options.similarityWeights, 'similarityWeight');
+        if (options.diversityWeights) this.applyWeights(options.diversityWeights, 'diversityWeight');
+
+        this.preferences = this.createEmptyPreferences();
+        this.preferenceSignals = []; // [{ movie, weight }] behind the current preferences
+        this.preferenceVersion = 0; // Bumped whenever preferences are rebuilt
+
+        // Typed movie fields for stored snapshots (year, rating, duration, genres)
+        this.catalogSchema = options.catalogSchema || RecommendationEngine.createCatalogSchema();
+
+        // TF-IDF vectors over descriptions, themes and credits (built per catalog)
+        this.contentVectors = options.contentVectors || RecommendationEngine.createContentVectorIndex();
+        this.normalizedPreferences = null; // { version, source, buckets }, see getNormalizedPreferences
+        this.recommendationCache = null; // { key, recommendations }, see getCacheKey
         this.cacheTimestamp = null;
+        this.cacheGeneration = 0; // Bumped by clearCache, so late worker results can tell they're stale
         this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-        
-        this.loadFromStorage();
+
+        // Optional Web Worker running recommendation-worker.js, shared between engines
+        this.worker = options.worker || null;
+        this.WORKER_MIN_CATALOG = 1000; // Smaller catalogs score faster than a round trip
+        this.WATCHLIST_INTENT_WEIGHT = 0.2; // Mild signal compared to a view (0.5-1.0)
+        this.NOT_INTERESTED_WEIGHT = -0.5; // About as strong as a 3/10 rating
+        this.COMPLETION_THRESHOLD = 0.9; // Fraction watched that counts as finished
+        this.CONTINUE_WATCHING_MIN = 0.02; // Ignore titles that were barely started
+        this.CONTINUE_WATCHING_MIN_POSITION = 120; // Seconds watched, for titles of unknown length
+        this.CONTINUE_WATCHING_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Unknown-length titles drop off after this
+        this.REMOVAL_RETENTION = 30 * 24 * 60 * 60 * 1000; // Removal markers outlive any tab's pending write
+        this.WILDCARD_DIVERSITY = 0.5; // diversityFactor from which one wildcard is mixed in
+        this.DIVERSITY_POOL_SIZE = 50; // Top-scored candidates considered when re-ranking
+
+        // Preference signals lose half their weight every N days (0 = never decay)
+        this.preferenceHalfLifeDays = options.preferenceHalfLifeDays !== undefined
+            ? options.preferenceHalfLifeDays
+            : 90;
+
+        // Collaborative filtering: other profiles' activity and how much it counts
+        this.peerProfiles = [];
+        this.collaborativeModel = null;
+        this.collaborativeWeight = options.collaborativeWeight !== undefined
+            ? options.collaborativeWeight
+            : 0.3; // 0 = content only, 1 = collaborative only
+
+        // Writes are batched: a burst of events costs one serialization
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500;
+        this.maxSaveDelay = 5000; // Never hold pending changes back longer than this
+        this.saveTimer = null;
+        this.pendingSaveSince = null;
+        this.writeQueue = Promise.resolve();
+        this.revision = 0; // Bumped on every change
+        this.loaded = false;
+        this.instanceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.syncedWrite = null; // Stored write (savedBy/savedAt) this engine's state already includes
+
+        // Resolves with the engine once stored state is in memory
+        this.ready = this.loadFromStorage();
     }
 
     // ========================================
@@ -39,21 +110,19 @@ class RecommendationEngine {
 
     /**
      * Record a movie view
+     * (timestamp defaults to now; imported history passes the original date)
      */
-    recordView(movie, watchDuration = null, completed = false) {
-        const viewRecord = {
-            movieId: movie.id,
-            timestamp: Date.now(),
-            watchDuration: watchDuration,
-            completed: completed,
-            movie: movie
-        };
+    recordView(movie, watchDuration = null, completed = false, timestamp = Date.now()) {
+        this.addView(movie, watchDuration, completed, timestamp);
 
-        this.viewingHistory.push(viewRecord);
-        this.watchedMovies.add(movie.id);
+        // Keep the history chronological when an older view is added
+        const count = this.viewingHistory.length;
+        if (count > 1 && this.viewingHistory[count - 2].timestamp > timestamp) {
+            this.viewingHistory.sort((x, y) => x.timestamp - y.timestamp);
+        }
         
         // Update preferences based on this view
-        this.updatePreferences(movie, completed ? 1.0 : 0.5);
+        this.recomputePreferences();
         
         // Save to storage
         this.saveToStorage();
@@ -66,19 +135,14 @@ class RecommendationEngine {
 
     /**
      * Record user rating for a movie
+     * (pass the movie object when it may not be in the viewing history yet)
      */
-    rateMovie(movieId, rating) {
-        this.userRatings[movieId] = {
-            rating: rating, // 1-10
-            timestamp: Date.now()
-        };
+    rateMovie(movieId, rating, movieData = null, timestamp = Date.now()) {
+        // Keep the movie with the rating when it isn't in the history
+        this.addRating(movieId, rating, this.findMovieInHistory(movieId) ? null : movieData, timestamp);
         
-        // Find the movie and update preferences with weighted rating
-        const movie = this.findMovieInHistory(movieId);
-        if (movie) {
-            const weight = rating / 10; // Convert to 0-1 scale
-            this.updatePreferences(movie, weight);
-        }
+        // Ratings are signed: low ratings push affinity negative
+        this.recomputePreferences();
         
         this.saveToStorage();
         this.clearCache();
@@ -87,397 +151,1285 @@ class RecommendationEngine {
     }
 
     /**
-     * Update user preferences based on movie attributes
+     * Record many views and ratings at once (e.g. an imported export),
+     * rebuilding preferences and saving once instead of per event.
+     * views: [{ movie, watchDuration, completed, timestamp }]
+     * ratings: [{ movie, rating, timestamp }]
      */
-    updatePreferences(movie, weight = 1.0) {
-        // Update genre preferences
-        if (movie.genres && Array.isArray(movie.genres)) {
-            movie.genres.forEach(genre => {
-                this.preferences.genres[genre] = 
-                    (this.preferences.genres[genre] || 0) + weight;
-            });
-        } else if (movie.genre) {
-            this.preferences.genres[movie.genre] = 
-                (this.preferences.genres[movie.genre] || 0) + weight;
-        }
-
-        // Update actor preferences
-        if (movie.actors && Array.isArray(movie.actors)) {
-            movie.actors.forEach(actor => {
-                this.preferences.actors[actor] = 
-                    (this.preferences.actors[actor] || 0) + weight;
-            });
-        }
+    recordActivity({ views = [], ratings = [] }) {
+        if (views.length === 0 && ratings.length === 0) return;
+
+        views.forEach(view => this.addView(
+            view.movie,
+            view.watchDuration !== undefined ? view.watchDuration : null,
+            Boolean(view.completed),
+            view.timestamp || Date.now()
+        ));
+        this.viewingHistory.sort((x, y) => x.timestamp - y.timestamp);
+
+        const inHistory = new Set(this.viewingHistory.map(view => String(view.movieId)));
+        ratings.forEach(({ movie, rating, timestamp }) => {
+            this.addRating(movie.id, rating, inHistory.has(String(movie.id)) ? null : movie, timestamp || Date.now());
+        });
 
-        // Update director preferences
-        if (movie.director) {
-            this.preferences.directors[movie.director] = 
-                (this.preferences.directors[movie.director] || 0) + weight;
-        }
+        this.recomputePreferences();
+        this.saveToStorage();
+        this.clearCache();
 
-        // Update theme preferences
-        if (movie.themes && Array.isArray(movie.themes)) {
-            movie.themes.forEach(theme => {
-                this.preferences.themes[theme] = 
-                    (this.preferences.themes[theme] || 0) + weight;
-            });
-        }
+        console.log(`[Recommendation] Recorded ${views.length} views and ${ratings.length} ratings`);
+    }
 
-        // Update source preferences
-        if (movie.source) {
-            this.preferences.sources[movie.source] = 
-                (this.preferences.sources[movie.source] || 0) + weight;
-        }
+    /**
+     * Add a view record (the caller recomputes, saves and keeps the history sorted)
+     */
+    addView(movie, watchDuration, completed, timestamp) {
+        this.viewingHistory.push({
+            movieId: movie.id,
+            timestamp: timestamp,
+            watchDuration: watchDuration,
+            completed: completed,
+            movie: this.normalizeMovie(movie)
+        });
+        this.watchedMovies.add(movie.id);
 
-        // Update decade preferences
-        if (movie.year) {
-            const decade = Math.floor(parseInt(movie.year) / 10) * 10;
-            this.preferences.decades[decade] = 
-                (this.preferences.decades[decade] || 0) + weight;
+        // A finished title no longer needs a resume position
+        if (completed && this.playbackProgress[movie.id]) {
+            delete this.playbackProgress[movie.id];
+            this.recordRemoval(`progress:${movie.id}`);
         }
     }
 
-    // ========================================
-    // RECOMMENDATION ALGORITHMS
-    // ========================================
-
     /**
-     * Generate personalized recommendations
+     * Set a rating record (movieData is kept for titles not in the history)
      */
-    getRecommendations(allMovies, count = 10, options = {}) {
-        // Check cache first
-        if (this.isCacheValid()) {
-            console.log('[Recommendation] Using cached recommendations');
-            return this.recommendationCache.slice(0, count);
-        }
+    addRating(movieId, rating, movieData, timestamp) {
+        this.userRatings[movieId] = {
+            rating: rating, // 1-10
+            timestamp: timestamp
+        };
+        if (movieData) this.userRatings[movieId].movie = this.normalizeMovie(movieData);
+    }
 
-        const {
-            excludeWatched = true,
-            minRating = 0,
-            diversityFactor = 0.3 // 0 = similar content, 1 = diverse content
-        } = options;
+    /**
+     * Typed copy of a movie (see CatalogSchema), as kept with views,
+     * ratings, progress, the watchlist and hidden titles
+     */
+    normalizeMovie(movie) {
+        return movie ? this.catalogSchema.normalize(movie) : movie;
+    }
 
-        console.log('[Recommendation] Generating new recommendations...');
+    /**
+     * Rebuild preferences from the raw events (views, ratings, watchlist).
+     * Every signal decays exponentially with age; a rating replaces the
+     * view signals for that movie and is signed around the scale midpoint.
+     */
+    recomputePreferences(now = Date.now()) {
+        const preferences = this.createEmptyPreferences();
+        const signals = [];
+        const addSignal = (movie, weight) => {
+            this.updatePreferences(movie, weight, preferences);
+            signals.push({ movie, weight });
+        };
 
-        // Filter out watched movies if requested
-        let candidateMovies = excludeWatched 
-            ? allMovies.filter(m => !this.watchedMovies.has(m.id))
-            : allMovies;
+        // Views of movies without a rating
+        this.viewingHistory.forEach(view => {
+            if (!view.movie || this.userRatings[view.movieId]) return;
+            addSignal(view.movie, (view.completed ? 1.0 : 0.5) * this.getDecayFactor(view.timestamp, now));
+        });
 
-        // Filter by minimum rating if specified
-        if (minRating > 0) {
-            candidateMovies = candidateMovies.filter(m => 
-                parseFloat(m.rating) >= minRating
-            );
-        }
+        // Explicit ratings
+        Object.entries(this.userRatings).forEach(([movieId, entry]) => {
+            const movie = entry.movie || this.findMovieInHistory(movieId);
+            if (!movie) return;
+            addSignal(movie, this.getRatingWeight(entry.rating) * this.getDecayFactor(entry.timestamp, now));
+        });
 
-        // If no viewing history, return popular/highly-rated content
-        if (this.viewingHistory.length === 0) {
-            return this.getColdStartRecommendations(candidateMovies, count);
-        }
+        // Watchlisted-but-unwatched titles count as mild positive intent
+        this.watchlist.forEach(entry => {
+            if (!entry.movie || this.watchedMovies.has(entry.movieId)) return;
+            addSignal(entry.movie, this.WATCHLIST_INTENT_WEIGHT * this.getDecayFactor(entry.addedAt, now));
+        });
 
-        // Score each movie
-        const scoredMovies = candidateMovies.map(movie => ({
-            movie: movie,
-            score: this.calculateRecommendationScore(movie),
-            breakdown: this.getScoreBreakdown(movie)
-        }));
+        // "Not interested" counts against the title's attributes (a rating says more)
+        Object.entries(this.hiddenTitles).forEach(([movieId, entry]) => {
+            if (!entry.notInterested || !entry.movie || this.userRatings[movieId]) return;
+            addSignal(entry.movie, this.NOT_INTERESTED_WEIGHT * this.getDecayFactor(entry.hiddenAt, now));
+        });
 
-        // Sort by score
-        scoredMovies.sort((a, b) => b.score - a.score);
+        this.preferences = preferences;
+        this.preferenceSignals = signals;
+        this.preferenceVersion++;
+        return preferences;
+    }
 
-        // Apply diversity if requested
-        let recommendations;
-        if (diversityFactor > 0) {
-            recommendations = this.applyDiversityFilter(scoredMovies, count, diversityFactor);
-        } else {
-            recommendations = scoredMovies.slice(0, count);
-        }
+    /**
+     * Exponential decay multiplier for a signal recorded at timestamp
+     */
+    getDecayFactor(timestamp, now = Date.now()) {
+        if (!this.preferenceHalfLifeDays || !timestamp) return 1;
 
-        // Cache the results
-        this.recommendationCache = recommendations;
-        this.cacheTimestamp = Date.now();
+        const ageDays = Math.max(0, now - timestamp) / (24 * 60 * 60 * 1000);
+        return Math.pow(0.5, ageDays / this.preferenceHalfLifeDays);
+    }
 
-        console.log(`[Recommendation] Generated ${recommendations.length} recommendations`);
-        
-        return recommendations;
+    /**
+     * Map a 1-10 rating onto a signed weight (-1 to +1, 5.5 is neutral)
+     */
+    getRatingWeight(rating) {
+        return (rating - 5.5) / 4.5;
     }
 
     /**
-     * Calculate recommendation score for a movie
+     * Set the preference half-life in days (0 disables decay)
      */
-    calculateRecommendationScore(movie) {
-        let score = 0;
-        const weights = {
-            genre: 0.35,
-            actor: 0.20,
-            director: 0.15,
-            theme: 0.15,
-            source: 0.05,
-            decade: 0.05,
-            rating: 0.05
-        };
+    setPreferenceHalfLife(days) {
+        this.preferenceHalfLifeDays = Math.max(0, Number(days) || 0);
+        this.recomputePreferences();
+        this.clearCache();
+    }
 
-        // Genre similarity
-        score += this.calculateGenreScore(movie) * weights.genre;
+    /**
+     * Add a weighted movie's attributes to a preferences map
+     */
+    updatePreferences(movie, weight = 1.0, preferences = this.preferences) {
+        this.getPreferenceFacets().forEach(facet => {
+            const bucket = preferences[facet.preferenceKey] || (preferences[facet.preferenceKey] = {});
+            facet.values(movie).forEach(value => {
+                bucket[value] = (bucket[value] || 0) + weight;
+            });
+        });
+    }
 
-        // Actor similarity
-        score += this.calculateActorScore(movie) * weights.actor;
+    /**
+     * One empty bucket per preference-backed facet ({ genres: {}, actors: {}, ... })
+     */
+    createEmptyPreferences() {
+        const preferences = {};
+        this.getPreferenceFacets().forEach(facet => {
+            preferences[facet.preferenceKey] = {};
+        });
+        return preferences;
+    }
 
-        // Director similarity
-        score += this.calculateDirectorScore(movie) * weights.director;
+    // ========================================
+    // SCORING FACETS
+    // ========================================
 
-        // Theme similarity
-        score += this.calculateThemeScore(movie) * weights.theme;
+    /**
+     * Add (or replace) a scoring facet:
+     * { name, preferenceKey, weight, similarityWeight, diversityWeight, values(movie), score?(movie, engine),
+     *   similarity?(seed, candidate, engine), describe?(movie, engine, facet) }
+     */
+    registerFacet(facet) {
+        this.facets.set(facet.name, this.validateFacet(facet));
+        this.recomputePreferences();
+        this.clearCache();
+    }
 
-        // Source preference
-        score += this.calculateSourceScore(movie) * weights.source;
+    /**
+     * Remove a scoring facet by name
+     */
+    unregisterFacet(name) {
+        if (!this.facets.delete(name)) return false;
+        this.recomputePreferences();
+        this.clearCache();
+        return true;
+    }
 
-        // Decade preference
-        score += this.calculateDecadeScore(movie) * weights.decade;
+    getFacets() {
+        return Array.from(this.facets.values());
+    }
 
-        // Rating boost
-        score += this.calculateRatingBoost(movie) * weights.rating;
+    /**
+     * Facets that learn from history (everything but fixed scores like rating)
+     */
+    getPreferenceFacets() {
+        return this.getFacets().filter(facet => facet.preferenceKey);
+    }
 
-        return score;
+    /**
+     * Change facet weights in the content score ({ genre: 0.5, ... })
+     */
+    setFacetWeights(weights) {
+        this.applyWeights(weights, 'weight');
+        this.clearCache();
     }
 
     /**
-     * Calculate genre similarity score
+     * Change facet weights in "More Like This" similarity
      */
-    calculateGenreScore(movie) {
-        let score = 0;
-        const totalGenreWeight = Object.values(this.preferences.genres)
-            .reduce((sum, weight) => sum + weight, 0);
+    setSimilarityWeights(weights) {
+        this.applyWeights(weights, 'similarityWeight');
+    }
 
-        if (totalGenreWeight === 0) return 0;
+    /**
+     * Change facet weights in pairwise similarity for diversity re-ranking
+     */
+    setDiversityWeights(weights) {
+        this.applyWeights(weights, 'diversityWeight');
+        this.clearCache();
+    }
 
-        const movieGenres = movie.genres || [movie.genre];
-        
-        movieGenres.forEach(genre => {
-            if (this.preferences.genres[genre]) {
-                score += this.preferences.genres[genre] / totalGenreWeight;
+    applyWeights(weights, property) {
+        Object.entries(weights || {}).forEach(([name, weight]) => {
+            const facet = this.facets.get(name);
+            if (!facet) throw new Error(`Unknown scoring facet: ${name}`);
+            if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+                throw new Error(`Invalid ${property} for facet ${name}: ${weight}`);
             }
+            this.facets.set(name, { ...facet, [property]: weight });
         });
-
-        return score / Math.max(movieGenres.length, 1);
     }
 
     /**
-     * Calculate actor similarity score
+     * Copy of a facet definition with defaults filled in; throws when unusable
      */
-    calculateActorScore(movie) {
-        if (!movie.actors || movie.actors.length === 0) return 0;
-
-        let score = 0;
-        const totalActorWeight = Object.values(this.preferences.actors)
-            .reduce((sum, weight) => sum + weight, 0);
+    validateFacet(facet) {
+        if (!facet || typeof facet.name !== 'string' || !facet.name) {
+            throw new Error('Scoring facets need a name');
+        }
+        if (typeof facet.values !== 'function' && typeof facet.score !== 'function') {
+            throw new Error(`Scoring facet ${facet.name} needs a values() or score() function`);
+        }
+        if (facet.preferenceKey && typeof facet.values !== 'function') {
+            throw new Error(`Scoring facet ${facet.name} needs values() to learn preferences`);
+        }
 
-        if (totalActorWeight === 0) return 0;
+        return {
+            preferenceKey: null,
+            weight: 0,
+            similarityWeight: 0,
+            diversityWeight: 0,
+            ...facet,
+            values: facet.values || (() => [])
+        };
+    }
 
-        movie.actors.forEach(actor => {
-            if (this.preferences.actors[actor]) {
-                score += this.preferences.actors[actor] / totalActorWeight;
-            }
-        });
+    // ========================================
+    // NEGATIVE FEEDBACK
+    // ========================================
 
-        return score / movie.actors.length;
+    /**
+     * Hide a title from recommendations and learn from it as a dislike
+     */
+    markNotInterested(movie) {
+        this.hideTitle(movie, true);
     }
 
     /**
-     * Calculate director similarity score
+     * Hide a title from recommendations (notInterested also counts as a dislike)
      */
-    calculateDirectorScore(movie) {
-        if (!movie.director) return 0;
+    hideTitle(movie, notInterested = false) {
+        this.hiddenTitles[movie.id] = {
+            hiddenAt: Date.now(),
+            notInterested: notInterested,
+            movie: this.normalizeMovie(movie)
+        };
 
-        const totalDirectorWeight = Object.values(this.preferences.directors)
-            .reduce((sum, weight) => sum + weight, 0);
+        this.recomputePreferences();
+        this.saveToStorage();
+        this.clearCache();
+
+        console.log(`[Recommendation] ${notInterested ? 'Not interested in' : 'Hid'}: ${movie.title}`);
+    }
 
-        if (totalDirectorWeight === 0) return 0;
+    /**
+     * Show a hidden title again (and drop its dislike signal)
+     */
+    unhideTitle(movieId) {
+        const key = Object.keys(this.hiddenTitles).find(id => String(id) === String(movieId));
+        if (key === undefined) return false;
+
+        delete this.hiddenTitles[key];
+        this.recordRemoval(`hidden:${key}`);
+        this.recomputePreferences();
+        this.saveToStorage();
+        this.clearCache();
+        return true;
+    }
 
-        return (this.preferences.directors[movie.director] || 0) / totalDirectorWeight;
+    isHidden(movieId) {
+        return Object.keys(this.hiddenTitles).some(id => String(id) === String(movieId));
     }
 
     /**
-     * Calculate theme similarity score
+     * Never recommend titles with a facet value ('genre' 'horror', 'source' 'YouTube', 'director' ...)
      */
-    calculateThemeScore(movie) {
-        if (!movie.themes || movie.themes.length === 0) return 0;
+    blockValue(facet, value) {
+        if (!this.facets.has(facet)) throw new Error(`Unknown scoring facet: ${facet}`);
+        if (this.isValueBlocked(facet, value)) return false;
 
-        let score = 0;
-        const totalThemeWeight = Object.values(this.preferences.themes)
-            .reduce((sum, weight) => sum + weight, 0);
+        this.blockedValues.push({ facet: facet, value: value, blockedAt: Date.now() });
+        this.saveToStorage();
+        this.clearCache();
 
-        if (totalThemeWeight === 0) return 0;
+        console.log(`[Recommendation] Blocked ${facet}: ${value}`);
+        return true;
+    }
 
-        movie.themes.forEach(theme => {
-            if (this.preferences.themes[theme]) {
-                score += this.preferences.themes[theme] / totalThemeWeight;
-            }
-        });
+    unblockValue(facet, value) {
+        const index = this.blockedValues.findIndex(entry =>
+            entry.facet === facet && String(entry.value) === String(value)
+        );
+        if (index === -1) return false;
 
-        return score / movie.themes.length;
+        this.blockedValues.splice(index, 1);
+        this.recordRemoval(`blocked:${facet}:${value}`);
+        this.saveToStorage();
+        this.clearCache();
+        return true;
+    }
+
+    isValueBlocked(facet, value) {
+        return this.blockedValues.some(entry => entry.facet === facet && String(entry.value) === String(value));
     }
 
     /**
-     * Calculate source preference score
+     * Hidden titles, most recently hidden first ([{ movieId, hiddenAt, notInterested, movie }])
      */
-    calculateSourceScore(movie) {
-        if (!movie.source) return 0;
+    getHiddenTitles() {
+        return Object.entries(this.hiddenTitles)
+            .map(([movieId, entry]) => ({ movieId, ...entry }))
+            .sort((a, b) => b.hiddenAt - a.hiddenAt);
+    }
+
+    getBlockedValues() {
+        return [...this.blockedValues].sort((a, b) => b.blockedAt - a.blockedAt);
+    }
 
-        const totalSourceWeight = Object.values(this.preferences.sources)
-            .reduce((sum, weight) => sum + weight, 0);
+    /**
+     * Predicate that is false for hidden titles and titles with a blocked value
+     * (built once per call so filtering a whole catalog stays cheap)
+     */
+    createExclusionFilter() {
+        const hidden = new Set(Object.keys(this.hiddenTitles));
+        const blocked = new Map();
+        this.blockedValues.forEach(entry => {
+            const facet = this.facets.get(entry.facet);
+            if (!facet) return;
+            if (!blocked.has(facet)) blocked.set(facet, new Set());
+            blocked.get(facet).add(String(entry.value));
+        });
 
-        if (totalSourceWeight === 0) return 0;
+        return movie => {
+            if (hidden.has(String(movie.id))) return false;
+            for (const [facet, values] of blocked) {
+                if (facet.values(movie).some(value => values.has(String(value)))) return false;
+            }
+            return true;
+        };
+    }
 
-        return (this.preferences.sources[movie.source] || 0) / totalSourceWeight;
+    isExcluded(movie) {
+        return !this.createExclusionFilter()(movie);
     }
 
+    // ========================================
+    // PLAYBACK PROGRESS
+    // ========================================
+
     /**
-     * Calculate decade preference score
+     * Store the resume position for a title (seconds)
      */
-    calculateDecadeScore(movie) {
-        if (!movie.year) return 0;
-
-        const decade = Math.floor(parseInt(movie.year) / 10) * 10;
-        const totalDecadeWeight = Object.values(this.preferences.decades)
-            .reduce((sum, weight) => sum + weight, 0);
+    updatePlaybackProgress(movie, position, duration = null) {
+        if (!movie || !(position > 0)) return;
+
+        this.playbackProgress[movie.id] = {
+            position: Math.round(position),
+            duration: duration > 0 ? Math.round(duration) : null,
+            updatedAt: Date.now(),
+            movie: this.normalizeMovie(movie)
+        };
+        this.saveToStorage();
+    }
 
-        if (totalDecadeWeight === 0) return 0;
+    /**
+     * Resume position for a title, or null
+     */
+    getPlaybackProgress(movieId) {
+        const key = Object.keys(this.playbackProgress).find(id => String(id) === String(movieId));
+        return key !== undefined ? this.playbackProgress[key] : null;
+    }
 
-        return (this.preferences.decades[decade] || 0) / totalDecadeWeight;
+    /**
+     * Remove a title's resume position
+     */
+    clearPlaybackProgress(movieId) {
+        const entry = this.getPlaybackProgress(movieId);
+        if (!entry) return;
+        delete this.playbackProgress[entry.movie.id];
+        this.recordRemoval(`progress:${entry.movie.id}`);
+        this.saveToStorage();
     }
 
     /**
-     * Calculate rating boost
+     * Partially watched titles, most recent first. Titles of unknown
+     * length can't be shown to be finished, so they need a few minutes
+     * watched and expire after CONTINUE_WATCHING_MAX_AGE.
      */
-    calculateRatingBoost(movie) {
-        const rating = parseFloat(movie.rating) || 0;
-        return rating / 10; // Normalize to 0-1
+    getContinueWatching(allMovies, count = 10, now = Date.now()) {
+        return Object.values(this.playbackProgress)
+            .filter(entry => {
+                if (!entry.duration) {
+                    return entry.position >= this.CONTINUE_WATCHING_MIN_POSITION &&
+                        now - entry.updatedAt < this.CONTINUE_WATCHING_MAX_AGE;
+                }
+                const fraction = entry.position / entry.duration;
+                return fraction >= this.CONTINUE_WATCHING_MIN && fraction < this.COMPLETION_THRESHOLD;
+            })
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(entry => {
+                // Prefer the live catalog copy of the movie when it's still there
+                const movie = allMovies.find(m => String(m.id) === String(entry.movie.id));
+                return movie ? { movie, progress: entry } : null;
+            })
+            .filter(Boolean)
+            .slice(0, count);
     }
 
+    // ========================================
+    // WATCHLIST
+    // ========================================
+
     /**
-     * Get detailed score breakdown for debugging
+     * Add a movie to the end of the watchlist
      */
-    getScoreBreakdown(movie) {
-        return {
-            genre: this.calculateGenreScore(movie),
-            actor: this.calculateActorScore(movie),
-            director: this.calculateDirectorScore(movie),
-            theme: this.calculateThemeScore(movie),
-            source: this.calculateSourceScore(movie),
-            decade: this.calculateDecadeScore(movie),
-            rating: this.calculateRatingBoost(movie)
-        };
+    addToWatchlist(movie) {
+        if (this.isInWatchlist(movie.id)) return false;
+
+        this.watchlist.push({
+            movieId: movie.id,
+            addedAt: Date.now(),
+            movie: this.normalizeMovie(movie)
+        });
+
+        // Unwatched titles count as mild positive intent
+        this.recomputePreferences();
+        this.saveToStorage();
+        this.clearCache();
+
+        console.log(`[Recommendation] Added to watchlist: ${movie.title}`);
+        return true;
     }
 
     /**
-     * Apply diversity filter to avoid recommending too similar content
+     * Remove a movie from the watchlist
      */
-    applyDiversityFilter(scoredMovies, count, diversityFactor) {
-        const selected = [];
-        const genreCounts = {};
-        const sourceCounts = {};
+    removeFromWatchlist(movieId) {
+        const index = this.watchlist.findIndex(e => e.movieId === movieId);
+        if (index === -1) return false;
 
-        for (const item of scoredMovies) {
-            if (selected.length >= count) break;
+        this.watchlist.splice(index, 1);
+        this.recordRemoval(`watchlist:${movieId}`);
+        this.recomputePreferences();
+        this.saveToStorage();
+        this.clearCache();
 
-            const movie = item.movie;
-            const genre = movie.genre || 'unknown';
-            const source = movie.source || 'unknown';
+        console.log(`[Recommendation] Removed from watchlist: ${movieId}`);
+        return true;
+    }
 
-            // Calculate diversity penalty
-            const genrePenalty = (genreCounts[genre] || 0) * diversityFactor;
-            const sourcePenalty = (sourceCounts[source] || 0) * diversityFactor * 0.5;
-            const adjustedScore = item.score - genrePenalty - sourcePenalty;
+    /**
+     * Move a watchlist entry to a new position
+     */
+    moveInWatchlist(movieId, toIndex) {
+        const fromIndex = this.watchlist.findIndex(e => e.movieId === movieId);
+        if (fromIndex === -1) return false;
 
-            if (adjustedScore > 0.1 || selected.length < 3) {
-                selected.push(item);
-                genreCounts[genre] = (genreCounts[genre] || 0) + 1;
-                sourceCounts[source] = (sourceCounts[source] || 0) + 1;
-            }
-        }
+        const target = Math.max(0, Math.min(toIndex, this.watchlist.length - 1));
+        const [entry] = this.watchlist.splice(fromIndex, 1);
+        this.watchlist.splice(target, 0, entry);
+        this.saveToStorage();
 
-        return selected;
+        return true;
     }
 
     /**
-     * Get recommendations for users with no viewing history
+     * Check whether a movie is on the watchlist
      */
-    getColdStartRecommendations(movies, count) {
-        console.log('[Recommendation] Using cold start recommendations');
-        
-        // Sort by rating and popularity
-        const scored = movies.map(movie => ({
-            movie: movie,
-            score: parseFloat(movie.rating) || 0,
-            breakdown: { coldStart: true }
-        }));
+    isInWatchlist(movieId) {
+        return this.watchlist.some(e => e.movieId === movieId);
+    }
 
-        scored.sort((a, b) => b.score - a.score);
-        
-        // Add some diversity
-        return this.applyDiversityFilter(scored, count, 0.5);
+    /**
+     * Get watchlist movie ids in list order
+     */
+    getWatchlist() {
+        return this.watchlist.map(e => e.movieId);
     }
 
     // ========================================
-    // SPECIALIZED RECOMMENDATIONS
+    // EXPLANATIONS
     // ========================================
 
     /**
-     * Get "More Like This" recommendations for a specific movie
+     * Human-readable reasons for recommending a movie, strongest first
+     * ("Because you watched Nosferatu", "You like films by F. W. Murnau")
      */
-    getMoreLikeThis(movie, allMovies, count = 6) {
-        const candidates = allMovies.filter(m => 
-            m.id !== movie.id && !this.watchedMovies.has(m.id)
-        );
+    explainRecommendation(movie, breakdown = null, limit = 2) {
+        const reasons = [];
+        const addReason = (text) => {
+            if (text && !reasons.includes(text)) reasons.push(text);
+        };
 
-        const scored = candidates.map(candidate => {
-            let similarity = 0;
+        if (breakdown && breakdown.coldStart) {
+            addReason(this.describePopularity(movie));
+            return reasons;
+        }
 
-            // Genre similarity (40%)
-            const movieGenres = movie.genres || [movie.genre];
-            const candidateGenres = candidate.genres || [candidate.genre];
-            const genreOverlap = movieGenres.filter(g => candidateGenres.includes(g)).length;
-            similarity += (genreOverlap / Math.max(movieGenres.length, 1)) * 0.4;
-
-            // Actor similarity (25%)
-            if (movie.actors && candidate.actors) {
-                const actorOverlap = movie.actors.filter(a => candidate.actors.includes(a)).length;
-                similarity += (actorOverlap / Math.max(movie.actors.length, 1)) * 0.25;
-            }
+        if (breakdown && breakdown.wildcard) {
+            const genreFacet = this.facets.get('genre');
+            const genre = genreFacet ? genreFacet.values(movie)[0] : null;
+            addReason(genre ? `Something different: ${genre}` : 'Something different');
+        }
 
-            // Director similarity (20%)
-            if (movie.director && candidate.director === movie.director) {
-                similarity += 0.2;
-            }
+        const facets = breakdown || this.getScoreBreakdown(movie);
+        const collaborativeWeight = facets.collaborativeWeight || 0;
+
+        // Rank facets by how much they actually added to the score
+        const contributions = this.getFacets()
+            .filter(facet => facet.describe)
+            .map(facet => ({
+                facet: facet.name,
+                value: (facets[facet.name] || 0) * facet.weight * (1 - collaborativeWeight)
+            }));
+        contributions.push({
+            facet: 'collaborative',
+            value: (facets.collaborative || 0) * collaborativeWeight
+        });
 
-            // Theme similarity (15%)
-            if (movie.themes && candidate.themes) {
-                const themeOverlap = movie.themes.filter(t => candidate.themes.includes(t)).length;
-                similarity += (themeOverlap / Math.max(movie.themes.length, 1)) * 0.15;
-            }
+        contributions
+            .filter(c => c.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .forEach(c => addReason(this.describeFacet(c.facet, movie)));
 
-            return {
-                movie: candidate,
-                score: similarity,
-                breakdown: { similarity: similarity }
-            };
-        });
+        if (reasons.length === 0) {
+            addReason(this.describePopularity(movie));
+        }
 
-        scored.sort((a, b) => b.score - a.score);
-        return scored.slice(0, count);
+        return reasons.slice(0, limit);
     }
 
     /**
-     * Get trending recommendations based on recent views
+     * Reason text for a single facet, naming the history item behind it
      */
-    getTrendingRecommendations(allMovies, count = 10, timeWindowDays = 7) {
-        const timeWindow = timeWindowDays * 24 * 60 * 60 * 1000;
-        const cutoffTime = Date.now() - timeWindow;
+    describeFacet(facet, movie) {
+        if (facet === 'collaborative') {
+            const model = this.getCollaborativeModel();
+            let best = null;
+            let bestSimilarity = 0;
+            model.own.forEach((strength, movieId) => {
+                const similarity = this.calculateItemSimilarity(movieId, movie.id) * strength;
+                if (similarity > bestSimilarity) {
+                    bestSimilarity = similarity;
+                    best = movieId;
+                }
+            });
+            const title = best !== null ? this.findMovieInHistory(best) : null;
+            return title
+                ? `Viewers who watched ${title.title} also watched this`
+                : 'Popular with other viewers on this device';
+        }
 
-        // Get recent viewing history
-        const recentViews = this.viewingHistory.filter(v => v.timestamp >= cutoffTime);
+        const definition = this.facets.get(facet);
+        return definition && definition.describe ? definition.describe(movie, this, definition) : null;
+    }
+
+    /**
+     * The movie's value for a facet the viewer likes most, or undefined
+     */
+    getTopLikedValue(facet, movie) {
+        const bucket = this.preferences[facet.preferenceKey] || {};
+        return facet.values(movie)
+            .filter(value => bucket[value] > 0)
+            .sort((a, b) => bucket[b] - bucket[a])[0];
+    }
+
+    /**
+     * Fallback reason based on the movie's own rating and era
+     */
+    describePopularity(movie) {
+        const rating = parseFloat(movie.rating) || 0;
+        const decade = this.getDecade(movie);
+
+        if (rating >= 7.5 && decade !== null && decade < 1980) return `Popular ${decade}s classic`;
+        if (rating >= 7.5) return 'Highly rated';
+        return 'Something new to try';
+    }
+
+    /**
+     * Most recent positively-received title in the history matching a predicate
+     */
+    findInfluentialTitle(predicate) {
+        const sorted = [...this.viewingHistory].sort((a, b) => b.timestamp - a.timestamp);
+        for (const view of sorted) {
+            const rating = this.userRatings[view.movieId];
+            if (rating && this.getRatingWeight(rating.rating) <= 0) continue;
+            if (view.movie && predicate(view.movie)) return view.movie;
+        }
+
+        // Titles rated highly without a recorded view
+        const rated = Object.values(this.userRatings)
+            .filter(entry => entry.movie && this.getRatingWeight(entry.rating) > 0)
+            .sort((a, b) => b.timestamp - a.timestamp);
+        const match = rated.find(entry => predicate(entry.movie));
+        return match ? match.movie : null;
+    }
+
+    getDecade(movie) {
+        const year = parseInt(movie.year);
+        return isNaN(year) ? null : Math.floor(year / 10) * 10;
+    }
+
+    // ========================================
+    // RECOMMENDATION ALGORITHMS
+    // ========================================
+
+    /**
+     * Generate personalized recommendations
+     */
+    getRecommendations(allMovies, count = 10, options = {}) {
+        const { excludeWatched, minRating, diversity } = this.getRecommendationOptions(options);
+        const catalogVersion = this.contentVectors.getCatalogVersion(allMovies);
+
+        // Check cache first
+        const cacheKey = this.getCacheKey(count, { excludeWatched, minRating, diversity }, catalogVersion);
+        if (this.isCacheValid(cacheKey)) {
+            console.log('[Recommendation] Using cached recommendations');
+            return this.recommendationCache.recommendations.slice();
+        }
+
+        console.log('[Recommendation] Generating new recommendations...');
+        this.contentVectors.ensure(allMovies, catalogVersion);
+
+        // Drop hidden and blocked titles, then watched ones if requested
+        let candidateMovies = allMovies.filter(this.createExclusionFilter());
+        if (excludeWatched) {
+            candidateMovies = candidateMovies.filter(m => !this.hasSeen(m.id));
+        }
+
+        // Filter by minimum rating if specified
+        if (minRating > 0) {
+            candidateMovies = candidateMovies.filter(m => 
+                parseFloat(m.rating) >= minRating
+            );
+        }
+
+        let recommendations;
+        if (!this.hasHistory()) {
+            // If no viewing history or ratings, return popular/highly-rated content
+            recommendations = this.getColdStartRecommendations(candidateMovies, count);
+        } else {
+            // Score each movie once, against preferences prepared up front
+            const context = this.createScoringContext();
+            const scoredMovies = candidateMovies.map(movie => ({ movie, ...this.scoreMovie(movie, context) }));
+
+            // Sort by score
+            scoredMovies.sort((a, b) => b.score - a.score);
+
+            // Apply diversity if requested
+            if (diversity.factor > 0 || diversity.wildcards > 0) {
+                recommendations = this.rerankByDiversity(scoredMovies, count, diversity);
+            } else {
+                recommendations = scoredMovies.slice(0, count);
+            }
+
+            // Attach human-readable reasons to what is actually shown
+            recommendations.forEach(item => {
+                item.reasons = this.explainRecommendation(item.movie, item.breakdown);
+            });
+        }
+
+        // Cache the results
+        this.cacheRecommendations(cacheKey, recommendations);
+
+        console.log(`[Recommendation] Generated ${recommendations.length} recommendations`);
+        
+        return recommendations.slice();
+    }
+
+    /**
+     * Defaults for getRecommendations options, with diversityFactor
+     * normalized to { factor, wildcards }
+     */
+    getRecommendationOptions(options = {}) {
+        const {
+            excludeWatched = true,
+            minRating = 0,
+            diversityFactor = 0.3 // 0 = similar content, 1 = diverse content; or { factor, wildcards }
+        } = options;
+
+        return { excludeWatched, minRating, diversity: this.getDiversityOptions(diversityFactor) };
+    }
+
+    /**
+     * Calculate recommendation score for a movie
+     * (content score blended with the collaborative score when peers exist)
+     */
+    calculateRecommendationScore(movie) {
+        return this.scoreMovie(movie).score;
+    }
+
+    /**
+     * Everything scoring needs that doesn't depend on the candidate
+     */
+    createScoringContext() {
+        return {
+            facets: this.getFacets(),
+            preferences: this.getNormalizedPreferences(),
+            collaborativeWeight: this.getEffectiveCollaborativeWeight()
+        };
+    }
+
+    /**
+     * Score and breakdown of one movie in a single pass over the facets
+     * (pass a shared context when scoring many)
+     */
+    scoreMovie(movie, context = this.createScoringContext()) {
+        const breakdown = {};
+        let content = 0;
+        context.facets.forEach(facet => {
+            const score = this.calculateFacetScore(facet, movie, context.preferences);
+            breakdown[facet.name] = score;
+            if (facet.weight) content += score * facet.weight;
+        });
+
+        const collaborative = this.calculateCollaborativeScore(movie);
+        const weight = context.collaborativeWeight;
+
+        return {
+            score: weight === 0 ? content : content * (1 - weight) + collaborative * weight,
+            breakdown: { ...breakdown, content, collaborative, collaborativeWeight: weight }
+        };
+    }
+
+    /**
+     * Calculate content-based score from the user's own preferences
+     */
+    calculateContentScore(movie) {
+        return this.getFacets().reduce((score, facet) =>
+            facet.weight ? score + this.calculateFacetScore(facet, movie) * facet.weight : score, 0);
+    }
+
+    /**
+     * Weight of each facet in the content score
+     */
+    getFacetWeights() {
+        const weights = {};
+        this.facets.forEach(facet => {
+            weights[facet.name] = facet.weight;
+        });
+        return weights;
+    }
+
+    /**
+     * Score for one facet: its own score() when it has one, otherwise the
+     * viewer's average normalized affinity for the movie's values
+     */
+    calculateFacetScore(facet, movie, preferences = this.getNormalizedPreferences()) {
+        if (typeof facet === 'string') facet = this.facets.get(facet);
+        if (!facet) return 0;
+        if (facet.score) return facet.score(movie, this);
+
+        const bucket = preferences[facet.preferenceKey];
+        if (!bucket || bucket.size === 0) return 0;
+
+        const values = facet.values(movie);
+        if (values.length === 0) return 0;
+
+        const score = values.reduce((sum, value) => sum + (bucket.get(String(value)) || 0), 0);
+        return score / values.length;
+    }
+
+    /**
+     * Preference buckets as Maps of value -> share of the bucket's total
+     * absolute weight, rebuilt only when preferences change
+     */
+    getNormalizedPreferences() {
+        const cached = this.normalizedPreferences;
+        if (cached && cached.version === this.preferenceVersion && cached.source === this.preferences) {
+            return cached.buckets;
+        }
+
+        const buckets = {};
+        Object.entries(this.preferences).forEach(([key, bucket]) => {
+            const entries = Object.entries(bucket);
+            const total = entries.reduce((sum, [, weight]) => sum + Math.abs(weight), 0);
+            buckets[key] = new Map(total === 0 ? [] : entries.map(([value, weight]) => [value, weight / total]));
+        });
+
+        this.normalizedPreferences = { version: this.preferenceVersion, source: this.preferences, buckets };
+        return buckets;
+    }
+
+    /**
+     * Cosine similarity between a movie's content vector and the blend of
+     * everything the viewer has watched, rated or saved (negative when it
+     * resembles disliked titles)
+     */
+    calculateVectorScore(movie) {
+        if (this.contentVectors.version === null || this.preferenceSignals.length === 0) return 0;
+
+        const profile = this.contentVectors.getProfileVector(this.preferenceSignals, this.preferenceVersion);
+        return this.contentVectors.cosine(profile, this.contentVectors.getVector(movie));
+    }
+
+    /**
+     * Positively-weighted title closest to a movie's content vector, or null
+     */
+    findMostSimilarTitle(movie, minSimilarity = 0.1) {
+        let best = null;
+        let bestSimilarity = minSimilarity;
+        this.preferenceSignals.forEach(({ movie: source, weight }) => {
+            if (weight <= 0 || String(source.id) === String(movie.id)) return;
+            const similarity = this.contentVectors.similarity(source, movie);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                best = source;
+            }
+        });
+        return best;
+    }
+
+    static createCatalogSchema() {
+        const Schema = requireShared('CatalogSchema', './catalog.js');
+        return new Schema();
+    }
+
+    static createContentVectorIndex() {
+        const Index = requireShared('ContentVectorIndex', './content-vectors.js');
+        return new Index();
+    }
+
+    /**
+     * Get detailed score breakdown for debugging
+     */
+    getScoreBreakdown(movie) {
+        return this.scoreMovie(movie).breakdown;
+    }
+
+    // ========================================
+    // COLLABORATIVE FILTERING
+    // ========================================
+
+    /**
+     * Provide other profiles' activity ({ viewingHistory, userRatings })
+     */
+    setPeerProfiles(profiles) {
+        this.peerProfiles = (profiles || []).filter(p => p && (p.viewingHistory || p.userRatings));
+        this.collaborativeModel = null;
+        this.clearCache();
+    }
+
+    /**
+     * Set how much the collaborative score counts (0-1)
+     */
+    setCollaborativeWeight(weight) {
+        this.collaborativeWeight = Math.max(0, Math.min(1, Number(weight) || 0));
+        this.clearCache();
+    }
+
+    /**
+     * Collaborative weight actually applied; 0 until peers have activity
+     */
+    getEffectiveCollaborativeWeight() {
+        return this.getCollaborativeModel().peerCount > 0 ? this.collaborativeWeight : 0;
+    }
+
+    /**
+     * Interaction strength per movie for one profile:
+     * a rating wins (rating/10), otherwise 1.0 finished / 0.5 started
+     */
+    getInteractionStrengths(viewingHistory = [], userRatings = {}) {
+        const strengths = new Map();
+
+        viewingHistory.forEach(view => {
+            const key = String(view.movieId);
+            const strength = view.completed ? 1.0 : 0.5;
+            strengths.set(key, Math.max(strengths.get(key) || 0, strength));
+        });
+
+        Object.entries(userRatings).forEach(([movieId, entry]) => {
+            if (entry && entry.rating) {
+                strengths.set(String(movieId), entry.rating / 10);
+            }
+        });
+
+        return strengths;
+    }
+
+    /**
+     * Build (or reuse) the item-item model over this and peer profiles
+     */
+    getCollaborativeModel() {
+        if (this.collaborativeModel) return this.collaborativeModel;
+
+        const own = this.getInteractionStrengths(this.viewingHistory, this.userRatings);
+        const peers = this.peerProfiles
+            .map(p => this.getInteractionStrengths(p.viewingHistory, p.userRatings))
+            .filter(strengths => strengths.size > 0);
+
+        // Vector norm of each item across all profiles
+        const itemNorms = new Map();
+        [own, ...peers].forEach(strengths => {
+            strengths.forEach((value, key) => {
+                itemNorms.set(key, (itemNorms.get(key) || 0) + value * value);
+            });
+        });
+        itemNorms.forEach((value, key) => itemNorms.set(key, Math.sqrt(value)));
+
+        this.collaborativeModel = {
+            own: own,
+            profiles: [own, ...peers],
+            itemNorms: itemNorms,
+            peerCount: peers.length
+        };
+        return this.collaborativeModel;
+    }
+
+    /**
+     * Cosine similarity between two items across profiles
+     */
+    calculateItemSimilarity(movieIdA, movieIdB) {
+        const model = this.getCollaborativeModel();
+        const a = String(movieIdA);
+        const b = String(movieIdB);
+        const normA = model.itemNorms.get(a);
+        const normB = model.itemNorms.get(b);
+        if (!normA || !normB) return 0;
+
+        let dot = 0;
+        model.profiles.forEach(strengths => {
+            if (strengths.has(a) && strengths.has(b)) {
+                dot += strengths.get(a) * strengths.get(b);
+            }
+        });
+
+        return dot / (normA * normB);
+    }
+
+    /**
+     * Score a movie by how strongly it co-occurs with the user's titles
+     * in other profiles ("people who finished X also finished Y")
+     */
+    calculateCollaborativeScore(movie) {
+        const model = this.getCollaborativeModel();
+        if (model.peerCount === 0 || !model.itemNorms.has(String(movie.id))) return 0;
+
+        let weighted = 0;
+        let total = 0;
+        model.own.forEach((strength, movieId) => {
+            if (movieId === String(movie.id)) return;
+            weighted += this.calculateItemSimilarity(movieId, movie.id) * strength;
+            total += strength;
+        });
+
+        return total > 0 ? weighted / total : 0;
+    }
+
+    /**
+     * Normalize the diversityFactor option: a number (0-1) or
+     * { factor, wildcards }. Wildcards are picks from genres the viewer
+     * hasn't watched; by default high diversity adds one.
+     */
+    getDiversityOptions(diversityFactor) {
+        const options = typeof diversityFactor === 'object' && diversityFactor !== null
+            ? diversityFactor
+            : { factor: diversityFactor };
+        const factor = Math.max(0, Math.min(1, Number(options.factor !== undefined ? options.factor : 0.3) || 0));
+        const wildcards = options.wildcards !== undefined
+            ? Math.max(0, Math.floor(Number(options.wildcards) || 0))
+            : (factor >= this.WILDCARD_DIVERSITY ? 1 : 0);
+
+        return { factor, wildcards };
+    }
+
+    /**
+     * Maximal marginal relevance: repeatedly pick the candidate that best
+     * trades its own (normalized) score against its similarity to what is
+     * already picked. Returns min(count, candidates) items, with any
+     * wildcards last.
+     */
+    rerankByDiversity(scoredMovies, count, diversity = {}) {
+        const { factor = 0.3, wildcards = 0 } = diversity;
+        const wildcardItems = this.pickWildcards(scoredMovies, Math.min(wildcards, count));
+        const wildcardMovies = new Set(wildcardItems.map(item => item.movie));
+
+        const pool = scoredMovies
+            .filter(item => !wildcardMovies.has(item.movie))
+            .slice(0, Math.max(count, this.DIVERSITY_POOL_SIZE));
+        const target = Math.min(count - wildcardItems.length, pool.length);
+        if (pool.length === 0) return wildcardItems;
+
+        const scores = pool.map(item => item.score);
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min;
+        const relevance = item => (range > 0 ? (item.score - min) / range : 1);
+
+        // Unpicked candidate -> highest similarity to anything picked so far
+        const maxSimilarity = new Map(pool.map(item => [item, 0]));
+        const selected = [];
+
+        while (selected.length < target) {
+            let best = null;
+            let bestValue = -Infinity;
+            maxSimilarity.forEach((similarity, item) => {
+                const value = (1 - factor) * relevance(item) - factor * similarity;
+                if (value > bestValue) {
+                    bestValue = value;
+                    best = item;
+                }
+            });
+
+            selected.push(best);
+            maxSimilarity.delete(best);
+            maxSimilarity.forEach((similarity, item) => {
+                maxSimilarity.set(item, Math.max(similarity, this.calculatePairSimilarity(best.movie, item.movie)));
+            });
+        }
+
+        return [...selected, ...wildcardItems];
+    }
+
+    /**
+     * Best-scored titles whose genres are all new to the viewer, one per genre
+     */
+    pickWildcards(scoredMovies, count) {
+        const genreFacet = this.facets.get('genre');
+        if (!genreFacet || count <= 0) return [];
+
+        const seen = new Set(Object.keys(this.preferences[genreFacet.preferenceKey] || {}));
+        const picked = [];
+        for (const item of scoredMovies) {
+            if (picked.length >= count) break;
+
+            const genres = genreFacet.values(item.movie);
+            if (genres.length === 0 || genres.some(genre => seen.has(String(genre)))) continue;
+
+            genres.forEach(genre => seen.add(String(genre)));
+            picked.push({ ...item, breakdown: { ...item.breakdown, wildcard: true } });
+        }
+        return picked;
+    }
+
+    /**
+     * Similarity of two movies across all facets (0-1), weighted by each
+     * facet's diversityWeight; value facets compare by Jaccard overlap
+     */
+    calculatePairSimilarity(a, b) {
+        let similarity = 0;
+        let totalWeight = 0;
+
+        this.facets.forEach(facet => {
+            if (!(facet.diversityWeight > 0)) return;
+            totalWeight += facet.diversityWeight;
+
+            if (facet.similarity) {
+                similarity += facet.similarity(a, b, this) * facet.diversityWeight;
+                return;
+            }
+
+            const valuesA = new Set(facet.values(a).map(String));
+            const valuesB = new Set(facet.values(b).map(String));
+            if (valuesA.size === 0 || valuesB.size === 0) return;
+
+            let shared = 0;
+            valuesA.forEach(value => { if (valuesB.has(value)) shared++; });
+            similarity += (shared / (valuesA.size + valuesB.size - shared)) * facet.diversityWeight;
+        });
+
+        return totalWeight > 0 ? similarity / totalWeight : 0;
+    }
+
+    /**
+     * Get recommendations for users with no viewing history
+     */
+    getColdStartRecommendations(movies, count) {
+        console.log('[Recommendation] Using cold start recommendations');
+        
+        // Sort by rating and popularity
+        const scored = movies.filter(this.createExclusionFilter()).map(movie => ({
+            movie: movie,
+            score: parseFloat(movie.rating) || 0,
+            breakdown: { coldStart: true }
+        }));
+
+        scored.sort((a, b) => b.score - a.score);
+        
+        // Add some diversity
+        const recommendations = this.rerankByDiversity(scored, count, { factor: 0.5, wildcards: 0 });
+        recommendations.forEach(item => {
+            item.reasons = this.explainRecommendation(item.movie, item.breakdown);
+        });
+        return recommendations;
+    }
+
+    // ========================================
+    // BACKGROUND SCORING
+    // ========================================
+
+    /**
+     * getRecommendations for pages: large catalogs are scored in the Web
+     * Worker (when the engine has one) so the page never blocks. Resolves
+     * with the same items; falls back to scoring here when the worker
+     * can't be used or fails.
+     */
+    async getRecommendationsAsync(allMovies, count = 10, options = {}) {
+        if (!this.worker || allMovies.length < this.WORKER_MIN_CATALOG || !this.canScoreInWorker()) {
+            return this.getRecommendations(allMovies, count, options);
+        }
+
+        const { excludeWatched, minRating, diversity } = this.getRecommendationOptions(options);
+        const catalogVersion = this.contentVectors.getCatalogVersion(allMovies);
+        const cacheKey = this.getCacheKey(count, { excludeWatched, minRating, diversity }, catalogVersion);
+        if (this.isCacheValid(cacheKey)) {
+            return this.recommendationCache.recommendations.slice();
+        }
+
+        const generation = this.cacheGeneration;
+        try {
+            const results = await this.requestWorkerScoring(allMovies, catalogVersion, count, {
+                excludeWatched,
+                minRating,
+                diversityFactor: diversity
+            });
+
+            const moviesById = new Map(allMovies.map(movie => [String(movie.id), movie]));
+            const recommendations = results
+                .map(({ movieId, ...item }) => ({ movie: moviesById.get(String(movieId)), ...item }))
+                .filter(item => item.movie);
+
+            // State or settings changed while the worker was busy: show it, don't keep it
+            if (generation === this.cacheGeneration) this.cacheRecommendations(cacheKey, recommendations);
+            return recommendations.slice();
+        } catch (error) {
+            console.warn('[Recommendation] Worker scoring failed, scoring on the page:', error);
+            return this.getRecommendations(allMovies, count, options);
+        }
+    }
+
+    /**
+     * The worker only knows the built-in facets (their weights are sent
+     * along), so custom scoring functions keep scoring on the page
+     */
+    canScoreInWorker() {
+        return this.getFacets().every(facet => {
+            const builtIn = RecommendationEngine.DEFAULT_FACETS.find(d => d.name === facet.name);
+            return builtIn && facet.score === builtIn.score && (!builtIn.values || facet.values === builtIn.values);
+        });
+    }
+
+    /**
+     * Settings the worker's engine needs to score like this one
+     */
+    getWorkerSettings() {
+        return {
+            facets: this.getFacets().map(({ name, weight, similarityWeight, diversityWeight }) =>
+                ({ name, weight, similarityWeight, diversityWeight })),
+            collaborativeWeight: this.collaborativeWeight,
+            preferenceHalfLifeDays: this.preferenceHalfLifeDays,
+            peerProfiles: this.peerProfiles
+        };
+    }
+
+    /**
+     * Post a request with the current state; the catalog only goes along
+     * when the worker asks for it (it keeps the last one it was sent).
+     * Resolves with [{ movieId, score, breakdown, reasons }].
+     */
+    requestWorkerScoring(allMovies, catalogVersion, count, options, includeCatalog = false) {
+        const id = RecommendationEngine.nextWorkerRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                this.worker.removeEventListener('message', handleMessage);
+                this.worker.removeEventListener('error', handleError);
+            };
+            const handleMessage = (event) => {
+                if (!event.data || event.data.id !== id) return;
+                cleanup();
+
+                const { needsCatalog, error, recommendations } = event.data;
+                if (needsCatalog && !includeCatalog) {
+                    resolve(this.requestWorkerScoring(allMovies, catalogVersion, count, options, true));
+                } else if (error || needsCatalog) {
+                    reject(new Error(error || 'Worker did not accept the catalog'));
+                } else {
+                    resolve(recommendations);
+                }
+            };
+            const handleError = (event) => {
+                cleanup();
+                reject(new Error(event.message || 'Recommendation worker failed'));
+            };
+
+            this.worker.addEventListener('message', handleMessage);
+            this.worker.addEventListener('error', handleError);
+            this.worker.postMessage({
+                id,
+                catalogVersion,
+                movies: includeCatalog ? allMovies : null,
+                state: this.serializeState(),
+                settings: this.getWorkerSettings(),
+                count,
+                options
+            });
+        });
+    }
+
+    // ========================================
+    // SPECIALIZED RECOMMENDATIONS
+    // ========================================
+
+    /**
+     * Get "More Like This" recommendations for a specific movie
+     */
+    getMoreLikeThis(movie, allMovies, count = 6) {
+        const isAllowed = this.createExclusionFilter();
+        const candidates = allMovies.filter(m => 
+            m.id !== movie.id && !this.hasSeen(m.id) && isAllowed(m)
+        );
+
+        this.contentVectors.ensure(allMovies);
+
+        // Facets that count towards similarity, with the seed movie's values
+        const facets = this.getFacets()
+            .filter(facet => facet.similarityWeight > 0)
+            .map(facet => ({ facet, values: facet.values(movie) }));
+
+        const scored = candidates.map(candidate => {
+            // Facet's own similarity, or the share of the seed's values the candidate has
+            const similarity = facets.reduce((sum, { facet, values }) => {
+                if (facet.similarity) {
+                    return sum + facet.similarity(movie, candidate, this) * facet.similarityWeight;
+                }
+                if (values.length === 0) return sum;
+                const candidateValues = facet.values(candidate);
+                const overlap = values.filter(value => candidateValues.includes(value)).length;
+                return sum + (overlap / values.length) * facet.similarityWeight;
+            }, 0);
+
+            return {
+                movie: candidate,
+                score: similarity,
+                breakdown: { similarity: similarity }
+            };
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, count);
+    }
+
+    /**
+     * Get trending recommendations based on recent views
+     * (now can be moved back to replay logged histories)
+     */
+    getTrendingRecommendations(allMovies, count = 10, timeWindowDays = 7, now = Date.now()) {
+        const timeWindow = timeWindowDays * 24 * 60 * 60 * 1000;
+        const cutoffTime = now - timeWindow;
+
+        // Get recent viewing history
+        const recentViews = this.viewingHistory.filter(v => v.timestamp >= cutoffTime);
 
         if (recentViews.length === 0) {
             return this.getRecommendations(allMovies, count);
@@ -504,7 +1456,8 @@ class RecommendationEngine {
         });
 
         // Score movies based on recent preferences
-        const candidates = allMovies.filter(m => !this.watchedMovies.has(m.id));
+        const isAllowed = this.createExclusionFilter();
+        const candidates = allMovies.filter(m => !this.hasSeen(m.id) && isAllowed(m));
         const scored = candidates.map(movie => {
             let score = 0;
             const movieGenres = movie.genres || [movie.genre];
@@ -524,9 +1477,10 @@ class RecommendationEngine {
      * Get genre-specific recommendations
      */
     getGenreRecommendations(genre, allMovies, count = 10) {
+        const isAllowed = this.createExclusionFilter();
         const candidates = allMovies.filter(m => {
             const movieGenres = m.genres || [m.genre];
-            return movieGenres.includes(genre) && !this.watchedMovies.has(m.id);
+            return movieGenres.includes(genre) && !this.hasSeen(m.id) && isAllowed(m);
         });
 
         // Score based on general preferences but within the genre
@@ -536,8 +1490,133 @@ class RecommendationEngine {
             breakdown: { genre: genre }
         }));
 
-        scored.sort((a, b) => b.score - a.score);
-        return scored.slice(0, count);
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, count);
+    }
+
+    // ========================================
+    // STATISTICS
+    // ========================================
+
+    /**
+     * Views and watch time per calendar month, oldest first, ending with
+     * the month containing now ([{ year, month (0-11), views, watchTime }])
+     */
+    getViewsByMonth(months = 12, now = Date.now()) {
+        const end = new Date(now);
+        const buckets = [];
+        for (let i = months - 1; i >= 0; i--) {
+            const date = new Date(end.getFullYear(), end.getMonth() - i, 1);
+            buckets.push({ year: date.getFullYear(), month: date.getMonth(), views: 0, watchTime: 0 });
+        }
+
+        const index = new Map(buckets.map(bucket => [`${bucket.year}-${bucket.month}`, bucket]));
+        this.viewingHistory.forEach(view => {
+            const date = new Date(view.timestamp);
+            const bucket = index.get(`${date.getFullYear()}-${date.getMonth()}`);
+            if (!bucket) return;
+            bucket.views++;
+            bucket.watchTime += this.calculateWatchTime([view]);
+        });
+
+        return buckets;
+    }
+
+    /**
+     * How views spread over a scoring facet's values ('genre', 'decade', ...),
+     * most watched first ([{ value, views }])
+     */
+    getViewDistribution(facetName, views = this.viewingHistory) {
+        const facet = this.facets.get(facetName);
+        if (!facet) return [];
+
+        const counts = new Map();
+        views.forEach(view => {
+            if (!view.movie) return;
+            new Set(facet.values(view.movie)).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([value, count]) => ({ value, views: count }))
+            .sort((a, b) => b.views - a.views);
+    }
+
+    /**
+     * Number of ratings at each point of the 1-10 scale ([{ rating, count }])
+     */
+    getRatingHistogram() {
+        const histogram = Array.from({ length: 10 }, (_, i) => ({ rating: i + 1, count: 0 }));
+        Object.values(this.userRatings).forEach(entry => {
+            const rating = Math.round(entry.rating);
+            if (rating >= 1 && rating <= 10) histogram[rating - 1].count++;
+        });
+        return histogram;
+    }
+
+    /**
+     * Calendar years with at least one view, most recent first
+     */
+    getActiveYears() {
+        return Array.from(new Set(this.viewingHistory.map(view => new Date(view.timestamp).getFullYear())))
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * "Wrapped"-style summary of one calendar year of viewing
+     */
+    getYearInReview(year = new Date().getFullYear()) {
+        const views = this.viewingHistory.filter(view => new Date(view.timestamp).getFullYear() === year);
+        const ratings = Object.entries(this.userRatings)
+            .filter(([, entry]) => new Date(entry.timestamp).getFullYear() === year);
+        const top = (facetName) => {
+            const [first] = this.getViewDistribution(facetName, views);
+            return first || null;
+        };
+
+        // Most rewatched title
+        const titleCounts = new Map();
+        views.forEach(view => {
+            const key = String(view.movieId);
+            const entry = titleCounts.get(key) || { movie: view.movie, views: 0 };
+            entry.views++;
+            titleCounts.set(key, entry);
+        });
+        const mostWatched = Array.from(titleCounts.values()).sort((a, b) => b.views - a.views)[0] || null;
+
+        // Busiest month
+        const monthCounts = new Array(12).fill(0);
+        views.forEach(view => { monthCounts[new Date(view.timestamp).getMonth()]++; });
+        const busiest = monthCounts.indexOf(Math.max(...monthCounts));
+
+        // Highest rated title of the year
+        const favorite = ratings
+            .map(([movieId, entry]) => ({ movie: entry.movie || this.findMovieInHistory(movieId), rating: entry.rating }))
+            .filter(entry => entry.movie)
+            .sort((a, b) => b.rating - a.rating)[0] || null;
+
+        const yearEnd = new Date(year + 1, 0, 1).getTime() - 1;
+        const streaks = this.calculateStreaks(views.map(view => view.timestamp), Math.min(Date.now(), yearEnd));
+
+        return {
+            year: year,
+            views: views.length,
+            uniqueTitles: titleCounts.size,
+            watchTime: this.calculateWatchTime(views),
+            activeDays: streaks.days,
+            longestStreak: streaks.longest,
+            topGenre: top('genre'),
+            topDecade: top('decade'),
+            topDirector: top('director'),
+            topActor: top('actor'),
+            mostWatched: mostWatched,
+            busiestMonth: views.length > 0 ? { month: busiest, views: monthCounts[busiest] } : null,
+            totalRatings: ratings.length,
+            averageRating: ratings.length > 0
+                ? (ratings.reduce((sum, [, entry]) => sum + entry.rating, 0) / ratings.length).toFixed(1)
+                : 0,
+            favorite: favorite
+        };
     }
 
     // ========================================
@@ -552,6 +1631,7 @@ class RecommendationEngine {
         if (!prefs) return [];
 
         return Object.entries(prefs)
+            .filter(([, weight]) => weight > 0)
             .sort((a, b) => b[1] - a[1])
             .slice(0, limit)
             .map(([name, weight]) => ({ name, weight }));
@@ -559,17 +1639,28 @@ class RecommendationEngine {
 
     /**
      * Get viewing statistics
+     * (watch time is in seconds; streaks count calendar days in local time)
      */
-    getStatistics() {
+    getStatistics(now = Date.now()) {
+        const streaks = this.calculateStreaks(this.viewingHistory.map(view => view.timestamp), now);
+        const totalWatchTime = this.calculateWatchTime(this.viewingHistory);
+
         return {
             totalViews: this.viewingHistory.length,
             uniqueMovies: this.watchedMovies.size,
+            completedViews: this.viewingHistory.filter(view => view.completed).length,
+            totalWatchTime: totalWatchTime,
+            averageWatchTime: this.viewingHistory.length > 0
+                ? Math.round(totalWatchTime / this.viewingHistory.length)
+                : 0,
             totalRatings: Object.keys(this.userRatings).length,
             averageRating: this.calculateAverageRating(),
             topGenres: this.getTopPreferences('genres', 3),
             topActors: this.getTopPreferences('actors', 3),
             topDirectors: this.getTopPreferences('directors', 3),
-            viewingStreak: this.calculateViewingStreak(),
+            viewingStreak: streaks.current,
+            longestStreak: streaks.longest,
+            activeDays: streaks.days,
             lastViewed: this.getLastViewed()
         };
     }
@@ -586,26 +1677,48 @@ class RecommendationEngine {
     }
 
     /**
-     * Calculate viewing streak
+     * Calculate viewing streak: consecutive calendar days with a view,
+     * ending today (or yesterday, since today isn't over yet)
      */
-    calculateViewingStreak() {
-        if (this.viewingHistory.length === 0) return 0;
+    calculateViewingStreak(now = Date.now()) {
+        return this.calculateStreaks(this.viewingHistory.map(view => view.timestamp), now).current;
+    }
 
-        let streak = 1;
-        const oneDay = 24 * 60 * 60 * 1000;
-        
-        const sortedHistory = [...this.viewingHistory].sort((a, b) => b.timestamp - a.timestamp);
-        
-        for (let i = 0; i < sortedHistory.length - 1; i++) {
-            const dayDiff = Math.floor((sortedHistory[i].timestamp - sortedHistory[i + 1].timestamp) / oneDay);
-            if (dayDiff <= 1) {
-                streak++;
-            } else {
-                break;
-            }
+    /**
+     * Current and longest runs of consecutive viewing days, plus the
+     * number of distinct days, for a set of timestamps
+     */
+    calculateStreaks(timestamps, now = Date.now()) {
+        const days = Array.from(new Set(timestamps.map(t => this.getDayNumber(t)))).sort((a, b) => a - b);
+        if (days.length === 0) return { current: 0, longest: 0, days: 0 };
+
+        let longest = 1;
+        let run = 1;
+        for (let i = 1; i < days.length; i++) {
+            run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
         }
 
-        return streak;
+        // The last run is still going if it reaches today or yesterday
+        const today = this.getDayNumber(now);
+        const current = today - days[days.length - 1] <= 1 ? run : 0;
+
+        return { current, longest, days: days.length };
+    }
+
+    /**
+     * Local calendar day as a day count (DST-safe, unlike dividing by 24h)
+     */
+    getDayNumber(timestamp) {
+        const date = new Date(timestamp);
+        return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Seconds watched across views (views without a recorded duration count 0)
+     */
+    calculateWatchTime(views) {
+        return views.reduce((total, view) => total + (Number(view.watchDuration) > 0 ? Number(view.watchDuration) : 0), 0);
     }
 
     /**
@@ -618,11 +1731,26 @@ class RecommendationEngine {
         return sorted[0].movie;
     }
 
+    /**
+     * Whether there is anything to personalize with (views or ratings;
+     * imported ratings come without views)
+     */
+    hasHistory() {
+        return this.viewingHistory.length > 0 || Object.keys(this.userRatings).length > 0;
+    }
+
+    /**
+     * Watched or rated (a rated title counts as seen even without a view)
+     */
+    hasSeen(movieId) {
+        return this.watchedMovies.has(movieId) || Boolean(this.userRatings[movieId]);
+    }
+
     /**
      * Find movie in viewing history
      */
     findMovieInHistory(movieId) {
-        const view = this.viewingHistory.find(v => v.movieId === movieId);
+        const view = this.viewingHistory.find(v => String(v.movieId) === String(movieId));
         return view ? view.movie : null;
     }
 
@@ -632,13 +1760,29 @@ class RecommendationEngine {
     clearCache() {
         this.recommendationCache = null;
         this.cacheTimestamp = null;
+        this.cacheGeneration++;
+        this.collaborativeModel = null;
+    }
+
+    /**
+     * Cache key for a request: count, normalized options, catalog version
+     * and state revision (settings changes clear the cache instead)
+     */
+    getCacheKey(count, options, catalogVersion) {
+        return JSON.stringify([count, options, catalogVersion, this.revision]);
+    }
+
+    cacheRecommendations(key, recommendations) {
+        this.recommendationCache = { key, recommendations };
+        this.cacheTimestamp = Date.now();
     }
 
     /**
-     * Check if cache is valid
+     * Check if the cache holds a fresh result for this key
      */
-    isCacheValid() {
+    isCacheValid(key) {
         if (!this.recommendationCache || !this.cacheTimestamp) return false;
+        if (this.recommendationCache.key !== key) return false;
         return (Date.now() - this.cacheTimestamp) < this.CACHE_DURATION;
     }
 
@@ -649,14 +1793,13 @@ class RecommendationEngine {
         this.viewingHistory = [];
         this.userRatings = {};
         this.watchedMovies = new Set();
-        this.preferences = {
-            genres: {},
-            actors: {},
-            directors: {},
-            themes: {},
-            sources: {},
-            decades: {}
-        };
+        this.watchlist = [];
+        this.playbackProgress = {};
+        this.hiddenTitles = {};
+        this.blockedValues = [];
+        this.removals = {};
+        this.resetAt = Date.now();
+        this.preferences = this.createEmptyPreferences();
         this.clearCache();
         this.saveToStorage();
         console.log('[Recommendation] Engine reset');
@@ -667,80 +1810,801 @@ class RecommendationEngine {
     // ========================================
 
     /**
-     * Save data to localStorage
+     * Schedule a write of the current state (debounced by saveDelay)
      */
     saveToStorage() {
+        this.revision++;
+        // Changes made while loading are merged and written by loadFromStorage
+        if (!this.loaded) return;
+
+        const now = Date.now();
+        if (this.pendingSaveSince === null) this.pendingSaveSince = now;
+        const wait = Math.min(this.saveDelay, this.pendingSaveSince + this.maxSaveDelay - now);
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), Math.max(0, wait));
+    }
+
+    /**
+     * Write pending changes now (call before the page goes away)
+     */
+    flush() {
+        if (!this.loaded) return this.ready;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pendingSaveSince = null;
+
+        // Queued so writes and syncs never interleave; another tab's
+        // changes are merged in first so this write doesn't drop them
+        this.writeQueue = this.writeQueue.then(async () => {
+            await this.mergeStoredChanges();
+            this.cancelPendingSave(); // This write covers anything the merge scheduled
+            await this.writeState(this.serializeState());
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Drop a scheduled write (e.g. when the profile's data is being deleted)
+     */
+    cancelPendingSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pendingSaveSince = null;
+    }
+
+    /**
+     * Save a serialized state; when the store is full, retry once with
+     * slimmed-down movie snapshots before reporting the error
+     */
+    async writeState(data) {
         try {
-            const data = {
-                viewingHistory: this.viewingHistory,
-                userRatings: this.userRatings,
-                watchedMovies: Array.from(this.watchedMovies),
-                preferences: this.preferences,
-                savedAt: Date.now()
-            };
-            
-            localStorage.setItem('streamvault_recommendations', JSON.stringify(data));
+            await this.storage.save(this.storageKey, data);
+            this.storageError = null;
+            this.announceWrite(data);
             console.log('[Recommendation] Data saved to storage');
+            return;
+        } catch (error) {
+            if (error.name !== 'StorageQuotaError') {
+                this.handleStorageError(error);
+                return;
+            }
+        }
+
+        try {
+            await this.storage.save(this.storageKey, this.compactState(data));
+            this.storageError = null;
+            this.announceWrite(data);
+            console.warn('[Recommendation] Storage is nearly full; saved compacted movie data');
         } catch (error) {
+            this.handleStorageError(error);
+        }
+    }
+
+    handleStorageError(error) {
+        this.storageError = error;
+        if (this.onStorageError) {
+            this.onStorageError(error);
+        } else {
             console.error('[Recommendation] Error saving to storage:', error);
         }
     }
 
     /**
-     * Load data from localStorage
+     * Load stored state; resolves with the engine
      */
-    loadFromStorage() {
+    async loadFromStorage() {
         try {
-            const stored = localStorage.getItem('streamvault_recommendations');
-            if (stored) {
-                const data = JSON.parse(stored);
-                this.viewingHistory = data.viewingHistory || [];
-                this.userRatings = data.userRatings || {};
-                this.watchedMovies = new Set(data.watchedMovies || []);
-                this.preferences = data.preferences || {
-                    genres: {}, actors: {}, directors: {}, themes: {}, sources: {}, decades: {}
-                };
+            const data = await this.storage.load(this.storageKey);
+            if (data) {
+                const stored = this.hydrateState(data);
+                this.syncedWrite = this.getWriteId(data);
+                // Keep anything recorded while the load was in flight
+                this.applyState(this.revision > 0 ? this.mergeSyncedState(stored) : stored);
                 console.log('[Recommendation] Data loaded from storage');
                 console.log(`[Recommendation] ${this.viewingHistory.length} views in history`);
             }
         } catch (error) {
             console.error('[Recommendation] Error loading from storage:', error);
         }
+
+        this.loaded = true;
+        if (this.revision > 0) this.flush();
+        return this;
+    }
+
+    /**
+     * Stored shape: each movie kept once in a map keyed by movieId, and
+     * history, ratings, watchlist and progress records reference it by id
+     */
+    serializeState() {
+        const movies = {};
+        const detach = ({ movie, ...record }) => {
+            if (movie) movies[movie.id] = movie;
+            return record;
+        };
+        const detachValues = (map) => Object.fromEntries(
+            Object.entries(map).map(([movieId, entry]) => [movieId, detach(entry)])
+        );
+
+        const viewingHistory = this.viewingHistory.map(detach);
+        const userRatings = detachValues(this.userRatings);
+        const watchlist = this.watchlist.map(detach);
+        const playbackProgress = detachValues(this.playbackProgress);
+        const hiddenTitles = detachValues(this.hiddenTitles);
+
+        return {
+            version: RecommendationEngine.STORAGE_VERSION,
+            movies: movies,
+            viewingHistory: viewingHistory,
+            userRatings: userRatings,
+            watchedMovies: Array.from(this.watchedMovies),
+            watchlist: watchlist,
+            playbackProgress: playbackProgress,
+            hiddenTitles: hiddenTitles,
+            blockedValues: this.blockedValues,
+            removals: this.removals,
+            resetAt: this.resetAt,
+            savedAt: Date.now(),
+            savedBy: this.instanceId
+        };
+    }
+
+    /**
+     * Reattach movie snapshots to stored records
+     * (version 1 data embedded them in every record, which still loads as is)
+     */
+    hydrateState(data) {
+        const movies = data.movies || {};
+        const attach = (movieId, record) => {
+            const movie = record.movie || movies[movieId];
+            return movie ? { ...record, movie } : { ...record };
+        };
+        const attachValues = (map) => Object.fromEntries(
+            Object.entries(map || {}).map(([movieId, entry]) => [movieId, attach(movieId, entry)])
+        );
+
+        return {
+            viewingHistory: (data.viewingHistory || []).map(view => attach(view.movieId, view)),
+            userRatings: attachValues(data.userRatings),
+            watchedMovies: data.watchedMovies || [],
+            watchlist: (data.watchlist || []).map(entry => attach(entry.movieId, entry)),
+            playbackProgress: attachValues(data.playbackProgress),
+            hiddenTitles: attachValues(data.hiddenTitles),
+            blockedValues: data.blockedValues || [],
+            removals: data.removals || {},
+            resetAt: data.resetAt || 0
+        };
+    }
+
+    /**
+     * Replace the in-memory state with hydrated records
+     * (movie snapshots from older versions are normalized on the way in)
+     */
+    applyState(state) {
+        const normalized = new Map(); // Stored movie -> typed copy, shared between its records
+        const withMovie = record => {
+            if (!record.movie) return record;
+            if (!normalized.has(record.movie)) normalized.set(record.movie, this.normalizeMovie(record.movie));
+            return { ...record, movie: normalized.get(record.movie) };
+        };
+        const withMovies = map => Object.fromEntries(
+            Object.entries(map).map(([movieId, record]) => [movieId, withMovie(record)])
+        );
+
+        this.viewingHistory = state.viewingHistory.map(withMovie);
+        this.userRatings = withMovies(state.userRatings);
+        this.watchedMovies = new Set(state.watchedMovies);
+        this.watchlist = state.watchlist.map(withMovie);
+        this.playbackProgress = withMovies(state.playbackProgress);
+        this.hiddenTitles = withMovies(state.hiddenTitles);
+        this.blockedValues = state.blockedValues;
+        this.removals = state.removals || {};
+        this.resetAt = state.resetAt || 0;
+        // Preferences are derived; the events are the source of truth
+        this.recomputePreferences();
+        this.clearCache();
+    }
+
+    /**
+     * Serialized state with only the movie fields recommendations need
+     */
+    compactState(data) {
+        const movies = {};
+        Object.entries(data.movies).forEach(([movieId, movie]) => {
+            movies[movieId] = {};
+            RecommendationEngine.COMPACT_MOVIE_FIELDS.forEach(field => {
+                if (movie[field] !== undefined) movies[movieId][field] = movie[field];
+            });
+        });
+        return { ...data, movies };
+    }
+
+    /**
+     * localStorage when available (in-memory otherwise); pages pass their own adapter
+     */
+    static createDefaultStorage() {
+        const createAdapter = requireShared('createStorageAdapter', './storage.js');
+        return createAdapter({ type: 'localStorage' });
+    }
+
+    // ========================================
+    // TAB SYNC
+    // ========================================
+
+    /**
+     * Merge in what another tab saved (call when TabSync reports a write
+     * to this engine's storage key); resolves to whether anything changed
+     */
+    syncFromStorage() {
+        // Loading reads the latest stored state anyway
+        if (!this.loaded) return Promise.resolve(false);
+
+        const sync = this.writeQueue.then(() => this.mergeStoredChanges());
+        this.writeQueue = sync;
+        return sync;
+    }
+
+    /**
+     * Read storage and merge it into memory when it holds a write this
+     * engine hasn't seen yet (runs on the write queue)
+     */
+    async mergeStoredChanges() {
+        try {
+            const data = await this.storage.load(this.storageKey);
+            if (!data || this.getWriteId(data) === this.syncedWrite) return false;
+
+            this.syncedWrite = this.getWriteId(data);
+            const stored = this.hydrateState(data);
+            const merged = this.mergeSyncedState(stored);
+            this.applyState(merged);
+            this.revision++;
+            console.log('[Recommendation] Merged changes from another tab');
+
+            // The other tab's write may have raced one of ours and lack
+            // entries only this tab has; write the union back
+            if (this.getSyncSignature(merged) !== this.getSyncSignature(stored)) this.saveToStorage();
+        } catch (error) {
+            console.error('[Recommendation] Error merging changes from another tab:', error);
+            return false;
+        }
+
+        if (this.onSync) this.onSync(this);
+        return true;
+    }
+
+    /**
+     * This engine's state combined with another tab's stored state: the
+     * union of both (see mergeImportData) minus entries either tab removed
+     * after they were added. Across a reset or replacing import, the
+     * newer epoch wins outright.
+     */
+    mergeSyncedState(stored) {
+        if (this.loaded && stored.resetAt !== this.resetAt) {
+            return stored.resetAt > this.resetAt ? stored : this.hydrateState(this.serializeState());
+        }
+
+        const merged = this.mergeImportData(stored);
+        const removals = { ...stored.removals };
+        Object.entries(this.removals).forEach(([key, removedAt]) => {
+            if (!(removals[key] >= removedAt)) removals[key] = removedAt;
+        });
+
+        const kept = (key, changedAt) => !(key in removals) || changedAt > removals[key];
+        const keptValues = (map, prefix, field) => Object.fromEntries(
+            Object.entries(map).filter(([movieId, entry]) => kept(`${prefix}:${movieId}`, entry[field]))
+        );
+
+        // Titles on both lists follow the stored (last saved) order
+        const order = new Map(stored.watchlist.map((entry, index) => [String(entry.movieId), index]));
+        const position = entry => (order.has(String(entry.movieId)) ? order.get(String(entry.movieId)) : order.size);
+
+        return {
+            ...merged,
+            watchlist: merged.watchlist
+                .filter(entry => kept(`watchlist:${entry.movieId}`, entry.addedAt))
+                .sort((a, b) => position(a) - position(b)),
+            playbackProgress: keptValues(merged.playbackProgress, 'progress', 'updatedAt'),
+            hiddenTitles: keptValues(merged.hiddenTitles, 'hidden', 'hiddenAt'),
+            blockedValues: merged.blockedValues
+                .filter(entry => kept(`blocked:${entry.facet}:${entry.value}`, entry.blockedAt)),
+            removals: removals,
+            resetAt: Math.max(this.resetAt, stored.resetAt)
+        };
+    }
+
+    /**
+     * Order-insensitive summary of a state's entries (watchlist order
+     * aside), to tell whether a merge added anything to the stored state
+     */
+    getSyncSignature(state) {
+        const stamped = (map, timeField, valueField) => Object.entries(map)
+            .map(([movieId, entry]) => `${movieId}@${entry[timeField]}:${entry[valueField]}`)
+            .sort();
+
+        return JSON.stringify({
+            views: state.viewingHistory.map(view => this.getViewKey(view)).sort(),
+            ratings: stamped(state.userRatings, 'timestamp', 'rating'),
+            watched: Array.from(state.watchedMovies, String).sort(),
+            watchlist: state.watchlist.map(entry => String(entry.movieId)),
+            progress: stamped(state.playbackProgress, 'updatedAt', 'position'),
+            hidden: stamped(state.hiddenTitles, 'hiddenAt', 'notInterested'),
+            blocked: state.blockedValues.map(entry => `${entry.facet}:${entry.value}`).sort(),
+            removals: Object.entries(state.removals).map(([key, removedAt]) => `${key}@${removedAt}`).sort(),
+            resetAt: state.resetAt
+        });
+    }
+
+    /**
+     * Remember that an entry was removed ('watchlist:12', 'hidden:12',
+     * 'progress:12', 'blocked:genre:horror'), dropping expired markers
+     */
+    recordRemoval(key, now = Date.now()) {
+        this.removals[key] = now;
+        Object.keys(this.removals).forEach(k => {
+            if (now - this.removals[k] > this.REMOVAL_RETENTION) delete this.removals[k];
+        });
     }
 
     /**
-     * Export data as JSON
+     * Note a write as seen and tell other tabs about it
+     */
+    announceWrite(data) {
+        this.syncedWrite = this.getWriteId(data);
+        if (this.tabSync) this.tabSync.publish({ type: 'saved', storageKey: this.storageKey });
+    }
+
+    getWriteId(data) {
+        return `${data.savedBy}@${data.savedAt}`;
+    }
+
+    // ========================================
+    // IMPORT / EXPORT
+    // ========================================
+
+    /**
+     * Export data as versioned JSON
      */
     exportData() {
         return {
+            schema: RecommendationEngine.EXPORT_SCHEMA,
+            version: RecommendationEngine.EXPORT_VERSION,
+            exportedAt: Date.now(),
             viewingHistory: this.viewingHistory,
             userRatings: this.userRatings,
             watchedMovies: Array.from(this.watchedMovies),
-            preferences: this.preferences,
+            watchlist: this.watchlist,
+            playbackProgress: this.playbackProgress,
+            hiddenTitles: this.hiddenTitles,
+            blockedValues: this.blockedValues,
+            preferences: this.preferences, // Derived snapshot; recomputed on import
             statistics: this.getStatistics()
         };
     }
 
     /**
-     * Import data from JSON
+     * Import data from JSON.
+     * mode 'replace' overwrites local state; 'merge' unions the history and
+     * keeps the newer of two conflicting ratings. Throws on invalid input.
      */
-    importData(data) {
-        try {
-            this.viewingHistory = data.viewingHistory || [];
-            this.userRatings = data.userRatings || {};
-            this.watchedMovies = new Set(data.watchedMovies || []);
-            this.preferences = data.preferences || {
-                genres: {}, actors: {}, directors: {}, themes: {}, sources: {}, decades: {}
+    importData(data, options = {}) {
+        const { mode = 'replace' } = options;
+        const { valid, errors, data: migrated } = this.validateImportData(data);
+
+        if (!valid) {
+            const error = new Error(`Invalid import data: ${errors.slice(0, 3).join('; ')}`);
+            error.validationErrors = errors;
+            console.error('[Recommendation] Error importing data:', errors);
+            throw error;
+        }
+
+        const summary = this.previewImport(migrated, mode);
+        // Replacing starts a new epoch, so other tabs drop their older state
+        this.applyState(mode === 'merge'
+            ? this.mergeImportData(migrated)
+            : { ...migrated, removals: {}, resetAt: Date.now() });
+        this.saveToStorage();
+
+        console.log(`[Recommendation] Data imported successfully (${mode})`);
+        return summary;
+    }
+
+    /**
+     * Describe what an import would change without applying it
+     */
+    previewImport(data, mode = 'merge') {
+        const { valid, errors, data: incoming } = this.validateImportData(data);
+        if (!valid) return { valid, errors, mode };
+
+        const localViews = new Set(this.viewingHistory.map(v => this.getViewKey(v)));
+        const incomingViews = new Set(incoming.viewingHistory.map(v => this.getViewKey(v)));
+        const localWatchlist = new Set(this.watchlist.map(e => String(e.movieId)));
+        const incomingWatchlist = new Set(incoming.watchlist.map(e => String(e.movieId)));
+        const blockKey = entry => `${entry.facet}:${entry.value}`;
+        const localBlocked = new Set(this.blockedValues.map(blockKey));
+
+        let ratingsAdded = 0;
+        let ratingsUpdated = 0;
+        let ratingsKept = 0;
+        Object.entries(incoming.userRatings).forEach(([movieId, entry]) => {
+            const local = this.userRatings[movieId];
+            if (!local) ratingsAdded++;
+            else if (local.rating === entry.rating) return;
+            else if (mode === 'replace' || this.isNewerEntry(entry, local, 'timestamp', 'rating')) ratingsUpdated++;
+            else ratingsKept++;
+        });
+
+        return {
+            valid: true,
+            errors: [],
+            mode: mode,
+            version: data.version || 1,
+            viewsAdded: incoming.viewingHistory.filter(v => !localViews.has(this.getViewKey(v))).length,
+            viewsRemoved: mode === 'replace'
+                ? this.viewingHistory.filter(v => !incomingViews.has(this.getViewKey(v))).length
+                : 0,
+            ratingsAdded: ratingsAdded,
+            ratingsUpdated: ratingsUpdated,
+            ratingsKept: ratingsKept, // Local rating is newer (merge only)
+            ratingsRemoved: mode === 'replace'
+                ? Object.keys(this.userRatings).filter(id => !incoming.userRatings[id]).length
+                : 0,
+            watchlistAdded: incoming.watchlist.filter(e => !localWatchlist.has(String(e.movieId))).length,
+            watchlistRemoved: mode === 'replace'
+                ? this.watchlist.filter(e => !incomingWatchlist.has(String(e.movieId))).length
+                : 0,
+            hiddenAdded: Object.keys(incoming.hiddenTitles).filter(id => !this.isHidden(id)).length,
+            blockedAdded: incoming.blockedValues.filter(entry => !localBlocked.has(blockKey(entry))).length
+        };
+    }
+
+    /**
+     * Union of local and incoming state (newer timestamps win conflicts)
+     */
+    mergeImportData(incoming) {
+        const views = new Map();
+        [...this.viewingHistory, ...incoming.viewingHistory].forEach(view => {
+            const key = this.getViewKey(view);
+            if (!views.has(key)) views.set(key, view);
+        });
+
+        const userRatings = { ...this.userRatings };
+        Object.entries(incoming.userRatings).forEach(([movieId, entry]) => {
+            if (this.isNewerEntry(entry, userRatings[movieId], 'timestamp', 'rating')) userRatings[movieId] = entry;
+        });
+
+        const watchlist = [...this.watchlist];
+        incoming.watchlist.forEach(entry => {
+            if (!watchlist.some(e => String(e.movieId) === String(entry.movieId))) watchlist.push(entry);
+        });
+
+        const playbackProgress = { ...this.playbackProgress };
+        Object.entries(incoming.playbackProgress).forEach(([movieId, entry]) => {
+            if (this.isNewerEntry(entry, playbackProgress[movieId], 'updatedAt', 'position')) playbackProgress[movieId] = entry;
+        });
+
+        const hiddenTitles = { ...this.hiddenTitles };
+        Object.entries(incoming.hiddenTitles).forEach(([movieId, entry]) => {
+            if (this.isNewerEntry(entry, hiddenTitles[movieId], 'hiddenAt', 'notInterested')) hiddenTitles[movieId] = entry;
+        });
+
+        const blockedValues = [...this.blockedValues];
+        incoming.blockedValues.forEach(entry => {
+            if (!blockedValues.some(e => e.facet === entry.facet && String(e.value) === String(entry.value))) {
+                blockedValues.push(entry);
+            }
+        });
+
+        const watchedMovies = new Set([...this.watchedMovies, ...incoming.watchedMovies]);
+
+        return {
+            viewingHistory: Array.from(views.values()).sort((a, b) => a.timestamp - b.timestamp),
+            userRatings: userRatings,
+            watchedMovies: Array.from(watchedMovies),
+            watchlist: watchlist,
+            playbackProgress: playbackProgress,
+            hiddenTitles: hiddenTitles,
+            blockedValues: blockedValues,
+            removals: this.removals,
+            resetAt: this.resetAt
+        };
+    }
+
+    /**
+     * Whether an incoming entry replaces the local one: the later change
+     * wins, and on equal timestamps the larger value does, so every tab
+     * settles on the same entry
+     */
+    isNewerEntry(entry, local, timeField, valueField) {
+        if (!local) return true;
+        if (entry[timeField] !== local[timeField]) return entry[timeField] > local[timeField];
+        return entry[valueField] > local[valueField];
+    }
+
+    /**
+     * Identity of a view record for deduplication
+     */
+    getViewKey(view) {
+        return `${view.movieId}@${view.timestamp}`;
+    }
+
+    /**
+     * Migrate to the current export version, then check every field.
+     * Returns { valid, errors, data } with data in the current shape.
+     */
+    validateImportData(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, errors: ['Import data must be a JSON object'], data: null };
+        }
+        if (data.schema !== undefined && data.schema !== RecommendationEngine.EXPORT_SCHEMA) {
+            return { valid: false, errors: [`Unknown schema "${data.schema}"`], data: null };
+        }
+
+        const version = data.version === undefined ? 1 : data.version;
+        if (!Number.isInteger(version) || version < 1) {
+            return { valid: false, errors: [`Invalid version "${data.version}"`], data: null };
+        }
+        if (version > RecommendationEngine.EXPORT_VERSION) {
+            return {
+                valid: false,
+                errors: [`Export version ${version} is newer than this app supports (${RecommendationEngine.EXPORT_VERSION})`],
+                data: null
             };
-            this.saveToStorage();
-            this.clearCache();
-            console.log('[Recommendation] Data imported successfully');
-        } catch (error) {
-            console.error('[Recommendation] Error importing data:', error);
         }
+
+        const migrated = this.migrateImportData(data, version);
+        const isId = value => typeof value === 'string' || typeof value === 'number';
+        const isTimestamp = value => typeof value === 'number' && value > 0;
+        const isEntry = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        // Stored movie snapshots must be the title they're filed under
+        const checkMovie = (movie, movieId, path, required) => {
+            if (movie === undefined && !required) return;
+            if (!isEntry(movie) || !isId(movie.id)) errors.push(`${path}.movie must be a movie with an id`);
+            else if (String(movie.id) !== String(movieId)) errors.push(`${path}.movie.id doesn't match ${movieId}`);
+        };
+
+        if (!Array.isArray(migrated.viewingHistory)) {
+            errors.push('viewingHistory must be an array');
+        } else {
+            migrated.viewingHistory.forEach((view, i) => {
+                if (!view || typeof view !== 'object') return errors.push(`viewingHistory[${i}] must be an object`);
+                if (!isId(view.movieId)) errors.push(`viewingHistory[${i}].movieId is missing`);
+                if (!isTimestamp(view.timestamp)) errors.push(`viewingHistory[${i}].timestamp must be a timestamp`);
+                if (view.watchDuration !== null && view.watchDuration !== undefined && typeof view.watchDuration !== 'number') {
+                    errors.push(`viewingHistory[${i}].watchDuration must be a number`);
+                }
+                checkMovie(view.movie, view.movieId, `viewingHistory[${i}]`, false);
+            });
+        }
+
+        if (!migrated.userRatings || typeof migrated.userRatings !== 'object' || Array.isArray(migrated.userRatings)) {
+            errors.push('userRatings must be an object');
+        } else {
+            Object.entries(migrated.userRatings).forEach(([movieId, entry]) => {
+                if (!isEntry(entry) || typeof entry.rating !== 'number' || entry.rating < 1 || entry.rating > 10) {
+                    return errors.push(`userRatings.${movieId}.rating must be a number from 1 to 10`);
+                }
+                if (!isTimestamp(entry.timestamp)) errors.push(`userRatings.${movieId}.timestamp must be a timestamp`);
+                checkMovie(entry.movie, movieId, `userRatings.${movieId}`, false);
+            });
+        }
+
+        if (!Array.isArray(migrated.watchedMovies) || !migrated.watchedMovies.every(isId)) {
+            errors.push('watchedMovies must be an array of movie ids');
+        }
+
+        if (!Array.isArray(migrated.watchlist)) {
+            errors.push('watchlist must be an array');
+        } else {
+            migrated.watchlist.forEach((entry, i) => {
+                if (!isEntry(entry) || !isId(entry.movieId)) return errors.push(`watchlist[${i}].movieId is missing`);
+                if (!isTimestamp(entry.addedAt)) errors.push(`watchlist[${i}].addedAt must be a timestamp`);
+                checkMovie(entry.movie, entry.movieId, `watchlist[${i}]`, true);
+            });
+        }
+
+        if (!migrated.playbackProgress || typeof migrated.playbackProgress !== 'object' || Array.isArray(migrated.playbackProgress)) {
+            errors.push('playbackProgress must be an object');
+        } else {
+            Object.entries(migrated.playbackProgress).forEach(([movieId, entry]) => {
+                if (!isEntry(entry)) return errors.push(`playbackProgress.${movieId} must be an object`);
+                if (typeof entry.position !== 'number' || !isFinite(entry.position) || entry.position < 0) {
+                    errors.push(`playbackProgress.${movieId}.position must be a number`);
+                }
+                if (entry.duration !== null && entry.duration !== undefined && typeof entry.duration !== 'number') {
+                    errors.push(`playbackProgress.${movieId}.duration must be a number`);
+                }
+                if (!isTimestamp(entry.updatedAt)) errors.push(`playbackProgress.${movieId}.updatedAt must be a timestamp`);
+                checkMovie(entry.movie, movieId, `playbackProgress.${movieId}`, true);
+            });
+        }
+
+        if (!migrated.hiddenTitles || typeof migrated.hiddenTitles !== 'object' || Array.isArray(migrated.hiddenTitles)) {
+            errors.push('hiddenTitles must be an object');
+        } else {
+            Object.entries(migrated.hiddenTitles).forEach(([movieId, entry]) => {
+                if (!isEntry(entry)) return errors.push(`hiddenTitles.${movieId} must be an object`);
+                if (!isTimestamp(entry.hiddenAt)) errors.push(`hiddenTitles.${movieId}.hiddenAt must be a timestamp`);
+                checkMovie(entry.movie, movieId, `hiddenTitles.${movieId}`, true);
+            });
+        }
+
+        if (!Array.isArray(migrated.blockedValues)) {
+            errors.push('blockedValues must be an array');
+        } else {
+            migrated.blockedValues.forEach((entry, i) => {
+                if (!isEntry(entry) || typeof entry.facet !== 'string' || !isId(entry.value)) {
+                    errors.push(`blockedValues[${i}] needs a facet and a value`);
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors, data: errors.length === 0 ? migrated : null };
+    }
+
+    /**
+     * Upgrade older export versions to the current shape
+     */
+    migrateImportData(data, version) {
+        let migrated = { ...data };
+
+        // v1: unversioned exports (no watchlist/playbackProgress, stored preferences)
+        if (version < 2) {
+            migrated = {
+                viewingHistory: migrated.viewingHistory || [],
+                userRatings: migrated.userRatings || {},
+                watchedMovies: migrated.watchedMovies || [],
+                watchlist: migrated.watchlist || [],
+                playbackProgress: migrated.playbackProgress || {}
+            };
+        }
+
+        // v2: no negative feedback yet
+        if (version < 3) {
+            migrated.hiddenTitles = migrated.hiddenTitles || {};
+            migrated.blockedValues = migrated.blockedValues || [];
+        }
+
+        // Watched ids must cover every title in the history
+        const watched = new Set(migrated.watchedMovies || []);
+        if (Array.isArray(migrated.viewingHistory)) {
+            migrated.viewingHistory.forEach(view => {
+                if (view && view.movieId !== undefined) watched.add(view.movieId);
+            });
+        }
+
+        return {
+            schema: RecommendationEngine.EXPORT_SCHEMA,
+            version: RecommendationEngine.EXPORT_VERSION,
+            viewingHistory: migrated.viewingHistory,
+            userRatings: migrated.userRatings,
+            watchedMovies: Array.isArray(migrated.watchedMovies) ? Array.from(watched) : migrated.watchedMovies,
+            watchlist: migrated.watchlist,
+            playbackProgress: migrated.playbackProgress,
+            hiddenTitles: migrated.hiddenTitles,
+            blockedValues: migrated.blockedValues
+        };
     }
 }
 
+RecommendationEngine.STORAGE_VERSION = 2;
+
+// Movie fields kept when storage is full (drops descriptions and posters)
+RecommendationEngine.COMPACT_MOVIE_FIELDS = [
+    'id', 'title', 'year', 'rating', 'duration', 'source', 'category',
+    'genre', 'genres', 'director', 'actors', 'themes', 'url'
+];
+
+RecommendationEngine.EXPORT_SCHEMA = 'streamvault-export';
+RecommendationEngine.EXPORT_VERSION = 3;
+
+// Scoring facets, in explanation tie-break order. Each one says how to read
+// values from a movie, which preferences bucket learns them, and how much it
+// counts in the content score (weight), in "More Like This" (similarityWeight)
+// and in pairwise similarity for diversity re-ranking (diversityWeight).
+// The content weights sum to 1.
+RecommendationEngine.DEFAULT_FACETS = [
+    {
+        name: 'genre',
+        preferenceKey: 'genres',
+        weight: 0.30,
+        similarityWeight: 0.4,
+        diversityWeight: 0.35,
+        values: movie => (Array.isArray(movie.genres) ? movie.genres : (movie.genre ? [movie.genre] : [])),
+        describe: (movie, engine, facet) => {
+            const genres = facet.values(movie);
+            const source = engine.findInfluentialTitle(m => facet.values(m).some(g => genres.includes(g)));
+            if (!source) return null;
+            return engine.userRatings[source.id]
+                ? `Because you liked ${source.title}`
+                : `Because you watched ${source.title}`;
+        }
+    },
+    {
+        name: 'actor',
+        preferenceKey: 'actors',
+        weight: 0.17,
+        similarityWeight: 0.25,
+        diversityWeight: 0.1,
+        values: movie => (Array.isArray(movie.actors) ? movie.actors : []),
+        describe: (movie, engine, facet) => {
+            const actor = engine.getTopLikedValue(facet, movie);
+            return actor ? `Stars ${actor}, who you've enjoyed before` : null;
+        }
+    },
+    {
+        name: 'director',
+        preferenceKey: 'directors',
+        weight: 0.13,
+        similarityWeight: 0.2,
+        diversityWeight: 0.1,
+        values: movie => (movie.director ? [movie.director] : []),
+        describe: (movie, engine, facet) => {
+            const director = engine.getTopLikedValue(facet, movie);
+            return director ? `You like films by ${director}` : null;
+        }
+    },
+    {
+        name: 'theme',
+        preferenceKey: 'themes',
+        weight: 0.13,
+        similarityWeight: 0.15,
+        diversityWeight: 0.05,
+        values: movie => (Array.isArray(movie.themes) ? movie.themes : []),
+        describe: (movie, engine, facet) => {
+            const theme = engine.getTopLikedValue(facet, movie);
+            return theme ? `More stories about ${theme}` : null;
+        }
+    },
+    {
+        name: 'source',
+        preferenceKey: 'sources',
+        weight: 0.04,
+        diversityWeight: 0.15,
+        values: movie => (movie.source ? [movie.source] : []),
+        describe: movie => (movie.source ? `More from ${movie.source}` : null)
+    },
+    {
+        name: 'decade',
+        preferenceKey: 'decades',
+        weight: 0.04,
+        diversityWeight: 0.2,
+        values: movie => {
+            const year = parseInt(movie.year);
+            return isNaN(year) ? [] : [Math.floor(year / 10) * 10];
+        },
+        describe: (movie, engine) => {
+            const decade = engine.getDecade(movie);
+            return decade !== null ? `From the ${decade}s, an era you enjoy` : null;
+        }
+    },
+    {
+        // TF-IDF over descriptions, themes and credits (see ContentVectorIndex);
+        // catches titles that share no tagged facet with the viewer's history
+        name: 'text',
+        weight: 0.15,
+        similarityWeight: 0.35,
+        diversityWeight: 0.05,
+        score: (movie, engine) => engine.calculateVectorScore(movie),
+        similarity: (seed, candidate, engine) => engine.contentVectors.similarity(seed, candidate),
+        describe: (movie, engine) => {
+            const source = engine.findMostSimilarTitle(movie);
+            return source ? `Similar to ${source.title}` : null;
+        }
+    },
+    {
+        // The movie's own rating, not learned from history
+        name: 'rating',
+        weight: 0.04,
+        score: movie => (parseFloat(movie.rating) || 0) / 10
+    }
+];
+
+// Request ids for the worker, unique across engines sharing it
+RecommendationEngine.nextWorkerRequestId = 1;
+
 // Export for use in browser or Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RecommendationEngine;
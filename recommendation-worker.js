@@ -0,0 +1,64 @@
+/**
+ * StreamVault Recommendation Worker
+ *
+ * Scores recommendations off the page's main thread, for catalogs large
+ * enough that scoring would make the dashboard stutter:
+ * - The page's engine posts its serialized state, settings and options
+ *   (see RecommendationEngine.getRecommendationsAsync)
+ * - The catalog is only sent when the worker doesn't hold that version,
+ *   so content vectors are built once per catalog
+ * - Results go back as movie ids with scores, breakdowns and reasons
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+importScripts('shared.js', 'storage.js', 'catalog.js', 'content-vectors.js', 'recommendation-engine.js');
+
+// One engine for the worker's lifetime; each request replaces its state
+const engine = new RecommendationEngine({ storage: new MemoryStorageAdapter() });
+let catalog = null; // { version, movies } last sent by the page
+
+self.addEventListener('message', event => {
+    const { id, catalogVersion, movies, state, settings, count, options } = event.data;
+
+    if (movies) catalog = { version: catalogVersion, movies };
+    if (!catalog || catalog.version !== catalogVersion) {
+        self.postMessage({ id, needsCatalog: true });
+        return;
+    }
+
+    try {
+        applySettings(settings);
+        engine.applyState(engine.hydrateState(state));
+
+        const recommendations = engine.getRecommendations(catalog.movies, count, options)
+            .map(({ movie, ...item }) => ({ movieId: movie.id, ...item }));
+        self.postMessage({ id, recommendations });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
+
+/**
+ * Match the page engine's facets, weights and collaborative setup
+ * (facets are always built-in ones; see canScoreInWorker)
+ */
+function applySettings(settings) {
+    const names = new Set(settings.facets.map(facet => facet.name));
+    engine.getFacets()
+        .filter(facet => !names.has(facet.name))
+        .forEach(facet => engine.unregisterFacet(facet.name));
+    RecommendationEngine.DEFAULT_FACETS
+        .filter(facet => names.has(facet.name) && !engine.facets.has(facet.name))
+        .forEach(facet => engine.registerFacet(facet));
+
+    ['weight', 'similarityWeight', 'diversityWeight'].forEach(property => {
+        engine.applyWeights(Object.fromEntries(settings.facets.map(facet => [facet.name, facet[property]])), property);
+    });
+
+    // Preferences are recomputed when the state is applied
+    engine.preferenceHalfLifeDays = settings.preferenceHalfLifeDays;
+    engine.setCollaborativeWeight(settings.collaborativeWeight);
+    engine.setPeerProfiles(settings.peerProfiles);
+}
@@ -0,0 +1,136 @@
+/**
+ * StreamVault Router
+ *
+ * Hash routes backed by the History API, so views can be linked and the
+ * back button works:
+ * - #/                     home (all content)
+ * - #/movie/9              a title in the player modal
+ * - #/list                 My List
+ * - #/stats                My Stats
+ * - #/genre/horror         genre filter
+ * - #/browse/archive       source / category filter
+ * - ?q=dracula             search query on any view route
+ *
+ * The page updates its state first and then calls navigate() to reflect it
+ * in the URL; onChange only fires for changes the page didn't make
+ * (back/forward, edited or followed links).
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class HashRouter {
+    constructor(options = {}) {
+        this.onChange = options.onChange || null; // (route) => void
+        this.lastHash = null;
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    /**
+     * Start listening and return the route the page was opened with
+     */
+    start() {
+        window.addEventListener('popstate', this.handleChange);
+        window.addEventListener('hashchange', this.handleChange);
+        this.lastHash = this.normalize(location.hash);
+        return this.current();
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.handleChange);
+        window.removeEventListener('hashchange', this.handleChange);
+    }
+
+    current() {
+        return this.parse(location.hash);
+    }
+
+    /**
+     * Put a route in the URL. replace avoids a history entry (e.g. while
+     * typing a search); state is stored with the entry.
+     */
+    navigate(route, options = {}) {
+        const { replace = false, state = null } = options;
+        const hash = this.build(route);
+        if (hash === this.normalize(location.hash) && !state) return;
+
+        history[replace ? 'replaceState' : 'pushState'](state, '', hash);
+        this.lastHash = hash;
+    }
+
+    handleChange() {
+        // popstate and hashchange both fire for one change in most browsers
+        const hash = this.normalize(location.hash);
+        if (hash === this.lastHash) return;
+        this.lastHash = hash;
+
+        if (this.onChange) this.onChange(this.current());
+    }
+
+    // ========================================
+    // PARSING
+    // ========================================
+
+    /**
+     * Route object { name, params, query } for a hash.
+     * Hashes that aren't routes (plain anchors) parse as 'unknown'.
+     */
+    parse(hash) {
+        const normalized = this.normalize(hash);
+        const [path, queryString = ''] = normalized.replace(/^#/, '').split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+
+        if (path !== '/' && !path.startsWith('/')) {
+            return { name: 'unknown', params: {}, query };
+        }
+
+        const segments = path.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+        const [first, second] = segments;
+
+        if (segments.length === 0) return { name: 'home', params: {}, query };
+        if (segments.length === 1 && HashRouter.PLAIN_ROUTES.includes(first)) return { name: first, params: {}, query };
+        if (segments.length === 2 && HashRouter.PARAM_ROUTES.includes(first)) {
+            return { name: first, params: first === 'movie' ? { id: second } : { value: second }, query };
+        }
+
+        return { name: 'unknown', params: {}, query };
+    }
+
+    /**
+     * Hash for a route object (the inverse of parse)
+     */
+    build(route) {
+        const { name, params = {}, query = {} } = route;
+        let path;
+
+        if (name === 'home') path = '/';
+        else if (HashRouter.PLAIN_ROUTES.includes(name)) path = `/${name}`;
+        else if (name === 'movie') path = `/movie/${encodeURIComponent(params.id)}`;
+        else if (HashRouter.PARAM_ROUTES.includes(name)) path = `/${name}/${encodeURIComponent(params.value)}`;
+        else throw new Error(`Unknown route: ${name}`);
+
+        const search = new URLSearchParams(
+            Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+
+        return `#${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * '' and '#' both mean home
+     */
+    normalize(hash) {
+        return !hash || hash === '#' ? '#/' : hash;
+    }
+}
+
+// Routes taking one path parameter
+HashRouter.PARAM_ROUTES = ['movie', 'genre', 'browse'];
+
+// Routes without parameters (besides home)
+HashRouter.PLAIN_ROUTES = ['list', 'stats'];
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+}
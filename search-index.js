@@ -0,0 +1,325 @@
+/**
+ * StreamVault Search Index
+ *
+ * In-browser full-text search over the catalog:
+ * - Tokenization with accent folding and stopwords
+ * - Field boosts (title > director/actors > genres/themes > description)
+ * - Prefix matching for search-as-you-type
+ * - Typo-tolerant fuzzy matching (bounded edit distance)
+ * - Facet counts and refinement (genre, decade, source, duration)
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var requireShared = require('./shared.js');
+}
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.fieldBoosts = options.fieldBoosts || {
+            title: 3.0,
+            director: 2.0,
+            actors: 2.0,
+            genres: 1.5,
+            themes: 1.2,
+            description: 1.0
+        };
+        this.catalogSchema = options.catalogSchema || SearchIndex.createCatalogSchema();
+        this.matchWeights = {
+            exact: 1.0,
+            prefix: 0.8,
+            fuzzy: 0.6
+        };
+        this.clear();
+    }
+
+    // ========================================
+    // INDEXING
+    // ========================================
+
+    clear() {
+        this.documents = new Map(); // docKey -> movie
+        this.postings = new Map(); // token -> Map(docKey -> field weight)
+        this.vocabulary = []; // Sorted tokens for prefix lookups
+    }
+
+    /**
+     * Build the index from a catalog (replaces any previous contents)
+     */
+    build(movies) {
+        this.clear();
+
+        movies.forEach(movie => {
+            const docKey = String(movie.id);
+            this.documents.set(docKey, movie);
+
+            Object.entries(this.getFieldValues(movie)).forEach(([field, text]) => {
+                const boost = this.fieldBoosts[field] || 1;
+                this.tokenize(text).forEach(token => {
+                    if (!this.postings.has(token)) this.postings.set(token, new Map());
+                    const docs = this.postings.get(token);
+                    // A token keeps the boost of the strongest field it appears in
+                    docs.set(docKey, Math.max(docs.get(docKey) || 0, boost));
+                });
+            });
+        });
+
+        this.vocabulary = Array.from(this.postings.keys()).sort();
+        return this;
+    }
+
+    /**
+     * Searchable text for each field of a movie
+     */
+    getFieldValues(movie) {
+        const join = (value) => Array.isArray(value) ? value.join(' ') : (value || '');
+        return {
+            title: movie.title,
+            director: movie.director,
+            actors: join(movie.actors),
+            genres: join(movie.genres || movie.genre),
+            themes: join(movie.themes),
+            description: movie.description
+        };
+    }
+
+    /**
+     * Lowercase, fold accents, split on non-alphanumerics, drop stopwords
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token && !SearchIndex.STOPWORDS.has(token));
+    }
+
+    // ========================================
+    // SEARCHING
+    // ========================================
+
+    /**
+     * Ranked search. Every query term must match (exactly, by prefix or
+     * fuzzily); scores sum field boost x match quality x rarity.
+     */
+    search(query, options = {}) {
+        const {
+            prefix = true,
+            fuzzy = true,
+            limit = Infinity
+        } = options;
+
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        let scores = null;
+
+        for (const term of terms) {
+            const termScores = this.scoreTerm(term, { prefix, fuzzy });
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const merged = new Map();
+                scores.forEach((score, docKey) => {
+                    if (termScores.has(docKey)) merged.set(docKey, score + termScores.get(docKey));
+                });
+                scores = merged;
+            }
+
+            if (scores.size === 0) break;
+        }
+
+        return Array.from(scores.entries())
+            .map(([docKey, score]) => ({ movie: this.documents.get(docKey), score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Best score per document for one query term
+     */
+    scoreTerm(term, options) {
+        const scores = new Map();
+        const addMatches = (token, matchWeight) => {
+            const docs = this.postings.get(token);
+            const idf = Math.log(1 + this.documents.size / docs.size);
+
+            docs.forEach((boost, docKey) => {
+                const score = boost * matchWeight * idf;
+                if (score > (scores.get(docKey) || 0)) scores.set(docKey, score);
+            });
+        };
+
+        if (this.postings.has(term)) {
+            addMatches(term, this.matchWeights.exact);
+        }
+
+        if (options.prefix) {
+            this.getPrefixMatches(term).forEach(token => {
+                if (token !== term) addMatches(token, this.matchWeights.prefix);
+            });
+        }
+
+        // Only fall back to typo tolerance when nothing matched directly
+        if (options.fuzzy && scores.size === 0) {
+            const maxDistance = this.getMaxEditDistance(term);
+            if (maxDistance > 0) {
+                this.vocabulary.forEach(token => {
+                    if (Math.abs(token.length - term.length) > maxDistance) return;
+                    if (this.editDistance(term, token, maxDistance) <= maxDistance) {
+                        addMatches(token, this.matchWeights.fuzzy);
+                    }
+                });
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Tokens starting with a prefix (binary search in the sorted vocabulary)
+     */
+    getPrefixMatches(prefix) {
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+            matches.push(this.vocabulary[i]);
+        }
+        return matches;
+    }
+
+    /**
+     * Typos allowed for a term: none for short words, more for long ones
+     */
+    getMaxEditDistance(term) {
+        if (term.length < 4) return 0;
+        if (term.length < 8) return 1;
+        return 2;
+    }
+
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance with early exit
+     */
+    editDistance(a, b, maxDistance = Infinity) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        let prevPrev = null;
+        let prev = Array.from({ length: cols }, (_, j) => j);
+
+        for (let i = 1; i < rows; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    prev[j] + 1,
+                    current[j - 1] + 1,
+                    prev[j - 1] + cost
+                );
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return rowMin;
+            prevPrev = prev;
+            prev = current;
+        }
+
+        return prev[cols - 1];
+    }
+
+    // ========================================
+    // FACETS
+    // ========================================
+
+    /**
+     * Facet values of one movie
+     */
+    getFacetValues(movie) {
+        const year = parseInt(movie.year);
+        return {
+            genre: (movie.genres || [movie.genre]).filter(Boolean),
+            decade: isNaN(year) ? [] : [`${Math.floor(year / 10) * 10}s`],
+            source: movie.source ? [movie.source] : [],
+            duration: [this.getDurationBucket(movie.duration)]
+        };
+    }
+
+    /**
+     * Count facet values across a result set
+     */
+    getFacetCounts(movies) {
+        const counts = { genre: {}, decade: {}, source: {}, duration: {} };
+
+        movies.forEach(movie => {
+            Object.entries(this.getFacetValues(movie)).forEach(([facet, values]) => {
+                values.forEach(value => {
+                    counts[facet][value] = (counts[facet][value] || 0) + 1;
+                });
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Keep movies matching the selected facet values
+     * (OR within a facet, AND across facets)
+     */
+    filterByFacets(movies, selected = {}) {
+        const active = Object.entries(selected).filter(([, values]) => values && values.length > 0);
+        if (active.length === 0) return movies;
+
+        return movies.filter(movie => {
+            const values = this.getFacetValues(movie);
+            return active.every(([facet, wanted]) =>
+                (values[facet] || []).some(value => wanted.includes(value))
+            );
+        });
+    }
+
+    /**
+     * Bucket durations: minutes (normalized catalog entries) or
+     * free text ("1h 36m", "45m", "varies"), read by CatalogSchema
+     */
+    getDurationBucket(duration) {
+        const total = this.catalogSchema.parseDuration(duration);
+        if (total === null) return 'Varies';
+
+        if (total < 30) return 'Under 30m';
+        if (total < 90) return '30-90m';
+        return 'Over 90m';
+    }
+
+    static createCatalogSchema() {
+        const Schema = requireShared('CatalogSchema', './catalog.js');
+        return new Schema();
+    }
+}
+
+SearchIndex.STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'into',
+    'is', 'it', 'its', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
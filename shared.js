@@ -0,0 +1,38 @@
+/**
+ * StreamVault Shared Loader
+ *
+ * The StreamVault scripts are plain scripts in the browser and the
+ * recommendation worker (each class is a global, loaded in order by
+ * index.html or importScripts) and CommonJS modules in Node. Scripts
+ * that use another one look it up with requireShared instead of
+ * checking for the global themselves.
+ *
+ * In Node, a script gets the helper with
+ *   if (typeof module !== 'undefined' && module.exports) {
+ *       var requireShared = require('./shared.js');
+ *   }
+ * (in the browser the var leaves the global function in place).
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * The global named globalName when its script is loaded, otherwise that
+ * export of the module at path (or the module itself when it exports
+ * only that one thing). Paths are relative to this file.
+ */
+function requireShared(globalName, path) {
+    // Top-level classes are globals but not properties of the global
+    // object, so look the name up the way a script would
+    const global = new Function(`return typeof ${globalName} === 'undefined' ? undefined : ${globalName};`)();
+    if (global !== undefined) return global;
+
+    const exported = require(path);
+    return exported && typeof exported === 'object' && globalName in exported ? exported[globalName] : exported;
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = requireShared;
+}
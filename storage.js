@@ -0,0 +1,229 @@
+/**
+ * StreamVault Storage Adapters
+ *
+ * Key/value persistence behind one async interface, so the
+ * RecommendationEngine doesn't care where its state lives:
+ * - load(key) -> data or null
+ * - save(key, data)
+ * - remove(key)
+ *
+ * Adapters: IndexedDB (default in browsers), localStorage (fallback)
+ * and in-memory (Node and tests). A full store rejects with a
+ * StorageQuotaError so callers can react instead of losing writes.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class StorageQuotaError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'StorageQuotaError';
+        this.cause = cause;
+    }
+
+    /**
+     * Whether a browser storage error means "out of space"
+     */
+    static isQuotaError(error) {
+        if (!error) return false;
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014;
+    }
+}
+
+// ========================================
+// LOCAL STORAGE
+// ========================================
+
+class LocalStorageAdapter {
+    constructor(options = {}) {
+        this.storage = options.storage || localStorage;
+    }
+
+    async load(key) {
+        const stored = this.storage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async save(key, data) {
+        try {
+            this.storage.setItem(key, JSON.stringify(data));
+        } catch (error) {
+            if (StorageQuotaError.isQuotaError(error)) {
+                throw new StorageQuotaError(`localStorage is full (saving ${key})`, error);
+            }
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    static isAvailable() {
+        try {
+            if (typeof localStorage === 'undefined' || localStorage === null) return false;
+            localStorage.getItem('streamvault_probe');
+            return true;
+        } catch (error) {
+            return false; // Disabled storage throws on access
+        }
+    }
+}
+
+// ========================================
+// INDEXEDDB
+// ========================================
+
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'streamvault';
+        this.storeName = options.storeName || 'engine';
+        this.migrateFrom = options.migrateFrom || null; // Adapter holding data from before IndexedDB
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database once (creates the object store on first run)
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call retry if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction, resolving when the transaction commits
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            const fail = () => {
+                const error = transaction.error || request.error;
+                reject(StorageQuotaError.isQuotaError(error)
+                    ? new StorageQuotaError(`IndexedDB is full (${this.storeName})`, error)
+                    : error);
+            };
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    async load(key) {
+        const data = await this.run('readonly', store => store.get(key));
+        if (data !== undefined) return data;
+        if (!this.migrateFrom) return null;
+
+        // First load after switching backends: move the old copy over
+        const legacy = await this.migrateFrom.load(key);
+        if (legacy) {
+            await this.save(key, legacy);
+            await this.migrateFrom.remove(key);
+            console.log(`[Storage] Migrated ${key} to IndexedDB`);
+        }
+        return legacy;
+    }
+
+    async save(key, data) {
+        await this.run('readwrite', store => store.put(data, key));
+    }
+
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+        if (this.migrateFrom) await this.migrateFrom.remove(key);
+    }
+
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// ========================================
+// IN-MEMORY
+// ========================================
+
+class MemoryStorageAdapter {
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.quota = options.quota || Infinity; // Bytes of JSON, to exercise quota handling
+    }
+
+    async load(key) {
+        return this.entries.has(key) ? JSON.parse(this.entries.get(key)) : null;
+    }
+
+    async save(key, data) {
+        // Stored as JSON so callers never share references with the store
+        const json = JSON.stringify(data);
+        let used = json.length;
+        this.entries.forEach((value, k) => {
+            if (k !== key) used += value.length;
+        });
+        if (used > this.quota) {
+            throw new StorageQuotaError(`Memory store is full (saving ${key})`);
+        }
+        this.entries.set(key, json);
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Pick a backend: 'auto' prefers IndexedDB (migrating localStorage data
+ * into it), then localStorage, then memory.
+ */
+function createStorageAdapter(options = {}) {
+    const { type = 'auto', ...adapterOptions } = options;
+
+    if ((type === 'auto' || type === 'indexedDB') && IndexedDBAdapter.isAvailable()) {
+        return new IndexedDBAdapter({
+            migrateFrom: LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : null,
+            ...adapterOptions
+        });
+    }
+
+    if ((type === 'auto' || type === 'indexedDB' || type === 'localStorage') && LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter(adapterOptions);
+    }
+
+    return new MemoryStorageAdapter(adapterOptions);
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StorageQuotaError,
+        LocalStorageAdapter,
+        IndexedDBAdapter,
+        MemoryStorageAdapter,
+        createStorageAdapter
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * StreamVault Service Worker
+ *
+ * Keeps the dashboard usable without a connection:
+ * - Precaches the app shell (page, scripts, manifest)
+ * - App shell and catalog API responses: network first, falling back to
+ *   the last fetched copy, so the page never runs against older scripts
+ * - Posters: cache first (CORS responses only), trimmed to a bounded number of entries
+ * - Navigations fall back to the cached page when offline
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Bump whenever SHELL_FILES or any file in it changes
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `streamvault-shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = `streamvault-catalog-${CACHE_VERSION}`;
+const POSTER_CACHE = `streamvault-posters-${CACHE_VERSION}`;
+const MAX_POSTERS = 300;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'shared.js',
+    'storage.js',
+    'tab-sync.js',
+    'catalog.js',
+    'content-vectors.js',
+    'recommendation-engine.js',
+    'recommendation-worker.js',
+    'internet-archive.js',
+    'content-sources.js',
+    'profiles.js',
+    'search-index.js',
+    'playback-tracker.js',
+    'player-resolver.js',
+    'ratings-import.js',
+    'offline.js',
+    'router.js'
+];
+
+// Requests whose responses make up the catalog
+const CATALOG_PATTERNS = [
+    /^https:\/\/archive\.org\/advancedsearch\.php/,
+    /^https:\/\/archive\.org\/metadata\//,
+    /^https:\/\/www\.googleapis\.com\/youtube\//
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // Bypass the HTTP cache so a new version never precaches old files
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('streamvault-') && !key.endsWith(`-${CACHE_VERSION}`))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (CATALOG_PATTERNS.some(pattern => pattern.test(request.url))) {
+        event.respondWith(networkFirst(request, CATALOG_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, POSTER_CACHE));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE).catch(() => caches.match('index.html')));
+    } else if (new URL(request.url).origin === self.location.origin) {
+        // Same strategy as the page, so a fresh page gets matching scripts
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// ========================================
+// STRATEGIES
+// ========================================
+
+/**
+ * Fresh copy when online, last cached copy otherwise
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cached copy when there is one (posters don't change); otherwise fetch and keep
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Poster <img>s are CORS requests (crossorigin="anonymous"), so hosts
+    // like archive.org answer readably. Opaque responses count against the
+    // quota at a padded size shared with IndexedDB, so only ok ones are kept
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        trimCache(cacheName, MAX_POSTERS);
+    }
+    return response;
+}
+
+/**
+ * Delete the oldest entries beyond a limit (keys come back in insertion order)
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
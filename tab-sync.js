@@ -0,0 +1,114 @@
+/**
+ * StreamVault Tab Sync
+ *
+ * Small messages between open StreamVault tabs, so each tab can pick up
+ * what the others saved (see RecommendationEngine.syncFromStorage):
+ * - BroadcastChannel where the browser has it
+ * - storage events on a localStorage key otherwise
+ * - nothing (a no-op) when neither is available
+ *
+ * A tab never receives its own messages.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+class TabSync {
+    constructor(options = {}) {
+        this.channelName = options.channelName || 'streamvault_sync';
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.listeners = new Set();
+        this.channel = null;
+        this.storage = null; // localStorage when falling back to storage events
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+
+        const transport = options.transport || 'auto'; // 'auto', 'broadcast' or 'storage'
+        if (transport !== 'storage' && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', this.handleMessage);
+        } else if (typeof window !== 'undefined' && TabSync.hasLocalStorage()) {
+            this.storage = localStorage;
+            window.addEventListener('storage', this.handleStorage);
+        } else {
+            console.warn('[TabSync] No cross-tab messaging available; tabs will not sync');
+        }
+    }
+
+    /**
+     * Send a message ({ type, ... }) to every other open tab
+     */
+    publish(message) {
+        const envelope = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+            } else if (this.storage) {
+                // Only changed values fire storage events; sentAt keeps each one distinct
+                this.storage.setItem(this.channelName, JSON.stringify(envelope));
+            }
+        } catch (error) {
+            console.error('[TabSync] Could not notify other tabs:', error);
+        }
+    }
+
+    /**
+     * Call listener(message) for messages from other tabs; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        if (this.storage) window.removeEventListener('storage', this.handleStorage);
+        this.channel = null;
+        this.storage = null;
+        this.listeners.clear();
+    }
+
+    // ========================================
+    // RECEIVING
+    // ========================================
+
+    handleMessage(event) {
+        this.deliver(event.data);
+    }
+
+    handleStorage(event) {
+        if (event.key !== this.channelName || !event.newValue) return;
+
+        try {
+            this.deliver(JSON.parse(event.newValue));
+        } catch (error) {
+            console.error('[TabSync] Unreadable message:', error);
+        }
+    }
+
+    deliver(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('[TabSync] Listener failed:', error);
+            }
+        });
+    }
+
+    static hasLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false; // Disabled storage throws on access
+        }
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
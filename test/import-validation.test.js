@@ -0,0 +1,97 @@
+/**
+ * RecommendationEngine.validateImportData: malformed entries are reported
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecommendationEngine = require('../recommendation-engine.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+
+const metropolis = { id: 1, title: 'Metropolis', year: 1927, genres: ['sci-fi'] };
+const now = Date.now();
+
+const createEngine = () => new RecommendationEngine({ storage: new MemoryStorageAdapter() });
+
+const exportWith = (fields) => ({
+    schema: RecommendationEngine.EXPORT_SCHEMA,
+    version: RecommendationEngine.EXPORT_VERSION,
+    viewingHistory: [],
+    userRatings: {},
+    watchedMovies: [],
+    watchlist: [],
+    playbackProgress: {},
+    hiddenTitles: {},
+    blockedValues: [],
+    ...fields
+});
+
+test('an engine export validates', async () => {
+    const engine = createEngine();
+    await engine.ready;
+    engine.recordView(metropolis, 600, false);
+    engine.rateMovie(2, 8, { id: 2, title: 'M', genres: ['crime'] });
+    engine.addToWatchlist({ id: 3, title: 'Sunrise', genres: ['drama'] });
+    engine.updatePlaybackProgress(metropolis, 300, 7200);
+    engine.hideTitle({ id: 4, title: 'Nosferatu', genres: ['horror'] });
+
+    const { valid, errors } = engine.validateImportData(JSON.parse(JSON.stringify(engine.exportData())));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(valid, true);
+    await engine.flush();
+});
+
+test('playback progress needs its movie and updatedAt', () => {
+    const { valid, errors } = createEngine().validateImportData(exportWith({
+        playbackProgress: { 1: { position: 300, updatedAt: now } }
+    }));
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors, ['playbackProgress.1.movie must be a movie with an id']);
+
+    const undated = createEngine().validateImportData(exportWith({
+        playbackProgress: { 1: { position: 300, movie: metropolis } }
+    }));
+    assert.deepStrictEqual(undated.errors, ['playbackProgress.1.updatedAt must be a timestamp']);
+});
+
+test('stored movies must match the id they are filed under', () => {
+    const { errors } = createEngine().validateImportData(exportWith({
+        watchlist: [{ movieId: 2, addedAt: now, movie: metropolis }],
+        hiddenTitles: { 5: { hiddenAt: now, movie: metropolis } },
+        userRatings: { 6: { rating: 7, timestamp: now, movie: metropolis } }
+    }));
+
+    assert.deepStrictEqual(errors, [
+        "userRatings.6.movie.id doesn't match 6",
+        "watchlist[0].movie.id doesn't match 2",
+        "hiddenTitles.5.movie.id doesn't match 5"
+    ]);
+});
+
+test('entries that are not objects are rejected', () => {
+    const { valid, errors } = createEngine().validateImportData(exportWith({
+        watchlist: [{ movieId: 1, addedAt: now }],
+        playbackProgress: { 1: 300 },
+        hiddenTitles: { x: 'x' }
+    }));
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors, [
+        'watchlist[0].movie must be a movie with an id',
+        'playbackProgress.1 must be an object',
+        'hiddenTitles.x must be an object'
+    ]);
+});
+
+test('an invalid import leaves the engine untouched', async () => {
+    const engine = createEngine();
+    await engine.ready;
+
+    assert.throws(() => engine.importData(exportWith({
+        playbackProgress: { 1: { position: 300, updatedAt: now } }
+    })), /Invalid import data/);
+    assert.deepStrictEqual(engine.getContinueWatching([metropolis]), []);
+});
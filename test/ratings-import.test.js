@@ -0,0 +1,47 @@
+/**
+ * RatingsImporter: ratings-only exports feed recommendations
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecommendationEngine = require('../recommendation-engine.js');
+const RatingsImporter = require('../ratings-import.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+
+const catalog = [
+    { id: 1, title: 'Metropolis', year: 1927, genres: ['sci-fi', 'drama'], director: 'Fritz Lang', rating: 8.3 },
+    { id: 2, title: 'Nosferatu', year: 1922, genres: ['horror'], director: 'F. W. Murnau', rating: 7.9 },
+    { id: 3, title: 'The General', year: 1926, genres: ['comedy', 'action'], director: 'Buster Keaton', rating: 8.1 },
+    { id: 4, title: 'M', year: 1931, genres: ['crime', 'drama'], director: 'Fritz Lang', rating: 8.3 },
+    { id: 5, title: 'Sherlock Jr.', year: 1924, genres: ['comedy'], director: 'Buster Keaton', rating: 8.2 },
+    { id: 6, title: 'Sunrise', year: 1927, genres: ['drama', 'romance'], director: 'F. W. Murnau', rating: 8.1 }
+];
+
+const imdbRatings = [
+    'Const,Your Rating,Date Rated,Title,Year',
+    'tt0017136,10,2024-03-01,Metropolis,1927',
+    'tt0013442,3,2024-03-02,Nosferatu,1922'
+].join('\n');
+
+test('an IMDb ratings export personalizes recommendations without views', async () => {
+    const engine = new RecommendationEngine({ storage: new MemoryStorageAdapter() });
+    await engine.ready;
+
+    const result = new RatingsImporter(engine).importCsv(imdbRatings, catalog);
+    assert.strictEqual(result.rated, 2);
+    assert.strictEqual(engine.viewingHistory.length, 0);
+
+    const recommendations = engine.getRecommendations(catalog, 10, { diversityFactor: 0 });
+    const ids = recommendations.map(item => item.movie.id);
+
+    assert.ok(recommendations.length > 0);
+    assert.ok(!ids.includes(1) && !ids.includes(2), `rated titles recommended: ${ids}`);
+    assert.ok(recommendations.every(item => !item.breakdown || !item.breakdown.coldStart));
+    // Metropolis (10/10) makes the other Fritz Lang film the top pick
+    assert.strictEqual(ids[0], 4);
+
+    await engine.flush();
+});
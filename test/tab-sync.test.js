@@ -0,0 +1,89 @@
+/**
+ * RecommendationEngine tab sync: two tabs sharing one store converge
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecommendationEngine = require('../recommendation-engine.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+
+const movie = id => ({ id, title: `Movie ${id}`, year: 1930, genres: ['drama'] });
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+/**
+ * Tabs on one store, with an in-memory stand-in for TabSync
+ */
+function createTabs(count) {
+    const storage = new MemoryStorageAdapter();
+    const tabs = [];
+
+    for (let i = 0; i < count; i++) {
+        const listeners = [];
+        const tabSync = {
+            publish: message => tabs.filter(tab => tab.tabSync !== tabSync)
+                .forEach(tab => tab.tabSync.listeners.forEach(listener => listener(message))),
+            subscribe: listener => listeners.push(listener),
+            listeners
+        };
+        const engine = new RecommendationEngine({ storage, saveDelay: 10, tabSync });
+        tabSync.subscribe(message => {
+            if (message.storageKey === engine.storageKey) engine.syncFromStorage();
+        });
+        tabs.push({ engine, tabSync });
+    }
+
+    return { storage, engines: tabs.map(tab => tab.engine) };
+}
+
+test('concurrent writes from two tabs both end up stored', async () => {
+    const { storage, engines: [a, b] } = createTabs(2);
+    await Promise.all([a.ready, b.ready]);
+
+    a.recordView(movie(1), 60, true);
+    await a.flush();
+    await settle();
+
+    a.recordView(movie(3), 60, true);
+    b.recordView(movie(4), 60, true);
+    await Promise.all([a.flush(), b.flush()]);
+    await settle();
+
+    const stored = await storage.load(a.storageKey);
+    const ids = engine => engine.viewingHistory.map(view => view.movieId).sort();
+    assert.deepStrictEqual(stored.viewingHistory.map(view => view.movieId).sort(), [1, 3, 4]);
+    assert.deepStrictEqual(ids(a), [1, 3, 4]);
+    assert.deepStrictEqual(ids(b), [1, 3, 4]);
+});
+
+test('ratings made in the same millisecond converge on one value', async () => {
+    const { storage, engines: [a, b] } = createTabs(2);
+    await Promise.all([a.ready, b.ready]);
+
+    const timestamp = Date.now();
+    a.rateMovie(1, 9, movie(1), timestamp);
+    b.rateMovie(1, 3, movie(1), timestamp);
+    await Promise.all([a.flush(), b.flush()]);
+    await settle();
+
+    const stored = await storage.load(a.storageKey);
+    assert.strictEqual(a.userRatings[1].rating, 9);
+    assert.strictEqual(b.userRatings[1].rating, 9);
+    assert.strictEqual(stored.userRatings[1].rating, 9);
+});
+
+test('tabs stop writing once they agree', async () => {
+    const { storage, engines: [a, b] } = createTabs(2);
+    await Promise.all([a.ready, b.ready]);
+
+    a.rateMovie(1, 9, movie(1));
+    b.addToWatchlist(movie(2));
+    await Promise.all([a.flush(), b.flush()]);
+    await settle();
+
+    const { savedAt } = await storage.load(a.storageKey);
+    await settle();
+    assert.strictEqual((await storage.load(a.storageKey)).savedAt, savedAt);
+});